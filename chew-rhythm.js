@@ -0,0 +1,144 @@
+// chew-rhythm.js
+// Chewing frequency from the openness ratio + jaw motion time series.
+// - Rolling window of (ts, openness, jaw) samples, resampled to a fixed rate
+// - Each channel detrended and z-scored, then averaged into one signal
+// - Normalized autocorrelation over lags inside the chewing band → dominant period
+// - Peaks of the combined signal give a second rate estimate; confidence combines
+//   autocorrelation strength with how well both estimates agree
+
+const RHYTHM_RATE_HZ = 15;       // resample rate (FaceMesh runs ~15-30 fps)
+const RHYTHM_MIN_SPAN_MS = 3000; // need this much history before estimating
+const RHYTHM_MIN_STD = 0.008;    // openness std below this → mouth is still, no rhythm
+
+// Linear resample of samples[key] onto a fixed grid ending at `end`
+function resampleSeries(samples, key, start, end, rateHz) {
+  const step = 1000 / rateHz;
+  const out = [];
+  let j = 0;
+  for (let t = start; t <= end; t += step) {
+    while (j < samples.length - 2 && samples[j + 1].ts < t) j++;
+    const a = samples[j], b = samples[Math.min(j + 1, samples.length - 1)];
+    const span = b.ts - a.ts;
+    const f = span > 0 ? Math.min(1, Math.max(0, (t - a.ts) / span)) : 0;
+    out.push(a[key] + (b[key] - a[key]) * f);
+  }
+  return out;
+}
+
+// Remove a moving-average trend (slow head motion) and scale to unit variance
+function normalizeSeries(x, trendLen) {
+  const n = x.length;
+  const half = Math.floor(trendLen / 2);
+  const d = new Array(n);
+  for (let i = 0; i < n; i++) {
+    let s = 0, c = 0;
+    for (let k = Math.max(0, i - half); k <= Math.min(n - 1, i + half); k++) { s += x[k]; c++; }
+    d[i] = x[i] - s / c;
+  }
+  const std = Math.sqrt(d.reduce((a, v) => a + v * v, 0) / n);
+  return { series: std > 1e-9 ? d.map(v => v / std) : d.map(() => 0), std };
+}
+
+function autocorrelation(x, lag) {
+  let num = 0, den = 0;
+  for (let i = 0; i < x.length; i++) {
+    den += x[i] * x[i];
+    if (i + lag < x.length) num += x[i] * x[i + lag];
+  }
+  return den > 0 ? num / den : 0;
+}
+
+// Local maxima above `minHeight`, at least `minGap` samples apart
+function findPeaks(x, minGap, minHeight = 0) {
+  const peaks = [];
+  for (let i = 1; i < x.length - 1; i++) {
+    if (x[i] < minHeight || x[i] < x[i - 1] || x[i] <= x[i + 1]) continue;
+    if (peaks.length && i - peaks[peaks.length - 1] < minGap) {
+      if (x[i] > x[peaks[peaks.length - 1]]) peaks[peaks.length - 1] = i;
+      continue;
+    }
+    peaks.push(i);
+  }
+  return peaks;
+}
+
+class ChewRhythm {
+  constructor({ windowMs = 6000, minHz = 0.7, maxHz = 2.5 } = {}) {
+    this.windowMs = windowMs;
+    this.minHz = minHz;
+    this.maxHz = maxHz;
+    this.samples = []; // {ts, openness, jaw}
+  }
+
+  reset() { this.samples = []; }
+
+  // jaw: nose→chin distance in face-scale units (see measureJaw in eating-detector.js)
+  push(ts, openness, jaw) {
+    this.samples.push({ ts, openness, jaw });
+    const cutoff = ts - this.windowMs;
+    while (this.samples.length && this.samples[0].ts < cutoff) this.samples.shift();
+  }
+
+  // → { chewsPerMinute, frequencyHz, confidence (0..1), regularity (0..1), peaks }
+  estimate() {
+    const none = { chewsPerMinute: 0, frequencyHz: 0, confidence: 0, regularity: 0, peaks: 0 };
+    const n = this.samples.length;
+    if (n < 4) return none;
+    const end = this.samples[n - 1].ts;
+    const start = this.samples[0].ts;
+    if (end - start < RHYTHM_MIN_SPAN_MS) return none;
+
+    // Trend window = one period at the slowest chewing rate
+    const trendLen = Math.round(RHYTHM_RATE_HZ / this.minHz);
+    const open = normalizeSeries(resampleSeries(this.samples, "openness", start, end, RHYTHM_RATE_HZ), trendLen);
+    if (open.std < RHYTHM_MIN_STD) return none;
+    const jaw = normalizeSeries(resampleSeries(this.samples, "jaw", start, end, RHYTHM_RATE_HZ), trendLen);
+    const useJaw = jaw.std > 1e-4;
+    const x = open.series.map((v, i) => useJaw ? (v + jaw.series[i]) / 2 : v);
+
+    // Dominant period: strongest autocorrelation peak inside the chewing band
+    const minLag = Math.max(2, Math.floor(RHYTHM_RATE_HZ / this.maxHz));
+    const maxLag = Math.min(x.length - 2, Math.ceil(RHYTHM_RATE_HZ / this.minHz));
+    if (maxLag <= minLag) return none;
+    const r = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) r[lag] = autocorrelation(x, lag);
+    let bestLag = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const isPeak = r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1];
+      if (isPeak && (bestLag < 0 || r[lag] > r[bestLag])) bestLag = lag;
+    }
+    if (bestLag < 0 || r[bestLag] <= 0) return none;
+
+    // Parabolic refinement of the lag
+    const a = r[bestLag - 1], b = r[bestLag], c = r[bestLag + 1];
+    const denom = a - 2 * b + c;
+    const lag = denom !== 0 ? bestLag + 0.5 * (a - c) / denom : bestLag;
+    const frequencyHz = RHYTHM_RATE_HZ / lag;
+
+    // Peak count over the window as an independent rate estimate; interval spread → regularity
+    const peaks = findPeaks(x, Math.floor(RHYTHM_RATE_HZ / this.maxHz), 0.3);
+    let regularity = 0;
+    if (peaks.length >= 3) {
+      const iv = peaks.slice(1).map((p, i) => p - peaks[i]);
+      const mean = iv.reduce((s, v) => s + v, 0) / iv.length;
+      const sd = Math.sqrt(iv.reduce((s, v) => s + (v - mean) ** 2, 0) / iv.length);
+      regularity = Math.max(0, 1 - sd / mean);
+    }
+    const peakHz = peaks.length >= 2 ? (peaks.length - 1) * RHYTHM_RATE_HZ / (peaks[peaks.length - 1] - peaks[0]) : 0;
+    const agreement = peakHz > 0 ? Math.min(peakHz, frequencyHz) / Math.max(peakHz, frequencyHz) : 0;
+
+    const confidence = Math.max(0, Math.min(1, b)) * (0.5 + 0.5 * agreement);
+    return {
+      chewsPerMinute: frequencyHz * 60,
+      frequencyHz,
+      confidence,
+      regularity,
+      peaks: peaks.length,
+    };
+  }
+}
+
+// Node (tests / offline tools): require("./chew-rhythm.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ChewRhythm, findPeaks, autocorrelation };
+}
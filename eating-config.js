@@ -0,0 +1,188 @@
+// eating-config.js
+// Runtime configuration for the eating page.
+// - Schema: every EatingDetector tunable + participant tracking + FaceMesh/Hands options + page tunables
+// - Layers: defaults ← JSON config file (eating-config.json) ← URL query (?OPEN_THR=0.07)
+// - Every value is validated (type, range, cross-field); bad values are reported and
+//   fall back to the previous layer instead of reaching the detector
+
+// type: "number" | "integer" | "boolean"
+const EATING_CONFIG_SCHEMA = {
+  // Chew detection
+  EAT_WINDOW_MS:           { type: "integer", min: 1000, max: 60000, group: "Chewing", label: "Recent chew window (ms)" },
+  OPEN_THR:                { type: "number", min: 0.005, max: 1, group: "Chewing", label: "Mouth open threshold" },
+  CLOSE_THR:               { type: "number", min: 0.001, max: 1, group: "Chewing", label: "Mouth close threshold" },
+  RHYTHM_WINDOW_MS:        { type: "integer", min: 2000, max: 30000, group: "Chewing", label: "Rhythm window (ms)" },
+  CHEW_BAND_MIN_HZ:        { type: "number", min: 0.2, max: 5, group: "Chewing", label: "Chew band min (Hz)" },
+  CHEW_BAND_MAX_HZ:        { type: "number", min: 0.3, max: 6, group: "Chewing", label: "Chew band max (Hz)" },
+  RHYTHM_CONF_THR:         { type: "number", min: 0, max: 1, group: "Chewing", label: "Rhythm confidence" },
+  RHYTHM_SUSTAIN_MS:       { type: "integer", min: 0, max: 30000, group: "Chewing", label: "Rhythm sustain (ms)" },
+  ACTIVITY_WINDOW_MS:      { type: "integer", min: 500, max: 15000, group: "Chewing", label: "Talk/chew window (ms)" },
+  TALK_MARGIN:             { type: "number", min: 0, max: 1, group: "Chewing", label: "Talk/chew margin" },
+
+  // Wafer-to-mouth gate
+  CONTACT_REQUIRED_MS:     { type: "integer", min: 0, max: 10000, group: "Gate", label: "Hold time (ms)" },
+  TOUCH_MIN_FACE:          { type: "number", min: 0, max: 5, group: "Gate", label: "Touch band min (× face)" },
+  TOUCH_MAX_FACE:          { type: "number", min: 0.01, max: 5, group: "Gate", label: "Touch band max (× face)" },
+  HAND_FACE_SCALE_MAX:     { type: "number", min: 0.1, max: 10, group: "Gate", label: "Max hand/face size" },
+  TIP_DEPTH_MIN:           { type: "number", min: -10, max: 10, group: "Gate", label: "Min tip depth (palms)" },
+  REQUIRE_WAFER:           { type: "boolean", group: "Gate", label: "Require wafer in hand" },
+  WAFER_CONFIRM_WINDOW_MS: { type: "integer", min: 0, max: 30000, group: "Gate", label: "Wafer confirm window (ms)" },
+  WAFER_APPROACH_FACE:     { type: "number", min: 0.1, max: 10, group: "Gate", label: "Wafer check distance (× face)" },
+  WAFER_CHECK_MS:          { type: "integer", min: 0, max: 5000, group: "Gate", label: "Wafer check interval (ms)" },
+
+  // Bites / episodes
+  BITE_IDLE_MS:            { type: "integer", min: 500, max: 600000, group: "Bites", label: "Bite idle end (ms)" },
+  EPISODE_IDLE_MS:         { type: "integer", min: 1000, max: 3600000, group: "Bites", label: "Episode idle end (ms)" },
+
+  // Participants (participants.js)
+  MAX_PARTICIPANTS:        { type: "integer", min: 1, max: 6, group: "Participants", label: "Max participants" },
+  FACE_MATCH_MAX:          { type: "number", min: 0.1, max: 10, group: "Participants", label: "Face id match (× face)" },
+  PARTICIPANT_LOST_MS:     { type: "integer", min: 0, max: 60000, group: "Participants", label: "Participant lost after (ms)" },
+  HAND_ASSIGN_MAX_FACE:    { type: "number", min: 0.1, max: 20, group: "Participants", label: "Hand-to-face max (× face)" },
+  HAND_SCALE_MIN:          { type: "number", min: 0, max: 10, group: "Participants", label: "Hand/face size min" },
+  HAND_SCALE_MAX:          { type: "number", min: 0.1, max: 10, group: "Participants", label: "Hand/face size max" },
+
+  // MediaPipe models
+  FACE_MIN_DETECTION_CONFIDENCE: { type: "number", min: 0, max: 1, group: "Models", label: "Face detection conf." },
+  FACE_MIN_TRACKING_CONFIDENCE:  { type: "number", min: 0, max: 1, group: "Models", label: "Face tracking conf." },
+  HAND_MIN_DETECTION_CONFIDENCE: { type: "number", min: 0, max: 1, group: "Models", label: "Hand detection conf." },
+  HAND_MIN_TRACKING_CONFIDENCE:  { type: "number", min: 0, max: 1, group: "Models", label: "Hand tracking conf." },
+  HAND_MODEL_COMPLEXITY:         { type: "integer", min: 0, max: 1, group: "Models", label: "Hand model complexity" },
+};
+
+// Pairs that must satisfy lo < hi
+const EATING_CONFIG_ORDER = [
+  ["CLOSE_THR", "OPEN_THR"],
+  ["TOUCH_MIN_FACE", "TOUCH_MAX_FACE"],
+  ["CHEW_BAND_MIN_HZ", "CHEW_BAND_MAX_HZ"],
+  ["HAND_SCALE_MIN", "HAND_SCALE_MAX"],
+];
+
+function eatingConfigDefaults() {
+  // eating-detector.js / participants.js: sibling <script>s in the browser, modules in Node
+  const Detector = typeof EatingDetector !== "undefined" ? EatingDetector : require("./eating-detector.js").EatingDetector;
+  const participants = typeof PARTICIPANT_DEFAULTS !== "undefined"
+    ? PARTICIPANT_DEFAULTS : require("./participants.js").PARTICIPANT_DEFAULTS;
+  return {
+    ...Detector.DEFAULTS,
+    ...participants,
+    REQUIRE_WAFER: true, // the page runs the wafer-in-hand check
+    WAFER_APPROACH_FACE: 2.5,
+    WAFER_CHECK_MS: 150,
+    FACE_MIN_DETECTION_CONFIDENCE: 0.5,
+    FACE_MIN_TRACKING_CONFIDENCE: 0.5,
+    HAND_MIN_DETECTION_CONFIDENCE: 0.5,
+    HAND_MIN_TRACKING_CONFIDENCE: 0.5,
+    HAND_MODEL_COMPLEXITY: 1,
+  };
+}
+
+// One value (from JSON or a query string) → { value } or { error }
+function coerceConfigValue(key, raw) {
+  const spec = EATING_CONFIG_SCHEMA[key];
+  if (!spec) return { error: "unknown setting" };
+
+  if (spec.type === "boolean") {
+    if (typeof raw === "boolean") return { value: raw };
+    if (raw === "true" || raw === "1") return { value: true };
+    if (raw === "false" || raw === "0") return { value: false };
+    return { error: `expected true/false, got "${raw}"` };
+  }
+
+  const value = typeof raw === "number" ? raw : (typeof raw === "string" && raw.trim() !== "" ? Number(raw) : NaN);
+  if (!Number.isFinite(value)) return { error: `expected a number, got "${raw}"` };
+  if (spec.type === "integer" && !Number.isInteger(value)) return { error: `expected an integer, got ${value}` };
+  if (spec.min !== undefined && value < spec.min) return { error: `${value} is below the minimum ${spec.min}` };
+  if (spec.max !== undefined && value > spec.max) return { error: `${value} is above the maximum ${spec.max}` };
+  return { value };
+}
+
+// Apply one layer of raw values over `base` → { config, errors }
+function mergeConfigLayer(base, raw, source) {
+  const config = { ...base };
+  const errors = [];
+  for (const [key, rawValue] of Object.entries(raw || {})) {
+    const { value, error } = coerceConfigValue(key, rawValue);
+    if (error) errors.push({ key, value: rawValue, source, message: error });
+    else config[key] = value;
+  }
+  return { config, errors };
+}
+
+// Cross-field checks; a violating pair falls back to `fallback` → { config, errors }
+function checkConfigOrder(config, fallback, source) {
+  const out = { ...config };
+  const errors = [];
+  for (const [lo, hi] of EATING_CONFIG_ORDER) {
+    if (out[lo] < out[hi]) continue;
+    errors.push({
+      key: `${lo}/${hi}`,
+      value: `${out[lo]}/${out[hi]}`,
+      source,
+      message: `${lo} must be lower than ${hi}`,
+    });
+    out[lo] = fallback[lo];
+    out[hi] = fallback[hi];
+  }
+  return { config: out, errors };
+}
+
+// ?OPEN_THR=0.07&require_wafer=false → { OPEN_THR: "0.07", REQUIRE_WAFER: "false" }
+// Only schema keys are picked up (case-insensitive); other parameters are left alone
+function parseConfigQuery(search) {
+  const byLower = Object.fromEntries(Object.keys(EATING_CONFIG_SCHEMA).map(k => [k.toLowerCase(), k]));
+  const raw = {};
+  for (const [name, value] of new URLSearchParams(search)) {
+    const key = byLower[name.toLowerCase()];
+    if (key) raw[key] = value;
+  }
+  return raw;
+}
+
+// defaults ← file ← query → { config, errors, sources }
+async function loadEatingConfig({ url = "eating-config.json", search = location.search } = {}) {
+  const defaults = eatingConfigDefaults();
+  const errors = [];
+  const sources = ["defaults"];
+
+  let fileRaw = null;
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (res.ok) {
+      fileRaw = await res.json();
+      sources.push(url);
+    } else if (res.status !== 404) {
+      errors.push({ key: "*", value: res.status, source: url, message: `HTTP ${res.status}` });
+    }
+  } catch (e) {
+    // file:// pages cannot fetch; a broken JSON file is worth reporting
+    if (e instanceof SyntaxError) errors.push({ key: "*", value: null, source: url, message: `invalid JSON: ${e.message}` });
+  }
+
+  let layer = mergeConfigLayer(defaults, fileRaw, url);
+  errors.push(...layer.errors);
+  let checked = checkConfigOrder(layer.config, defaults, url);
+  errors.push(...checked.errors);
+  const fromFile = checked.config;
+
+  const queryRaw = parseConfigQuery(search);
+  if (Object.keys(queryRaw).length) sources.push("query");
+  layer = mergeConfigLayer(fromFile, queryRaw, "query");
+  errors.push(...layer.errors);
+  checked = checkConfigOrder(layer.config, fromFile, "query");
+  errors.push(...checked.errors);
+
+  return { config: checked.config, errors, sources };
+}
+
+// Node (tests / offline tools): require("./eating-config.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EATING_CONFIG_SCHEMA,
+    eatingConfigDefaults,
+    coerceConfigValue,
+    mergeConfigLayer,
+    checkConfigOrder,
+    parseConfigQuery,
+  };
+}
@@ -0,0 +1,559 @@
+// eating-detector.js
+// Headless eating state machine (no DOM / canvas / MediaPipe dependency).
+// - Feed it normalized FaceMesh + Hands landmarks and a timestamp per frame
+// - Mouth open/close hysteresis → chew events
+// - Chew rate from the openness/jaw rhythm (chew-rhythm.js) → "eating" flag
+// - Talking vs chewing (mouth-activity.js); chews are not counted while talking
+// - Wafer-to-mouth hold gate (index + thumb tips near lip center) → starts a bite
+//   Band is measured in face-scale units (inter-ocular distance), so it does not
+//   depend on camera distance or video resolution; hand depth rejects hands that
+//   are merely in front of the face
+// - Chews are attributed to the open bite; bites group into eating episodes
+// - Returns a state snapshot per frame and emits events on transitions
+
+// Lip landmark indices (468-point Face Mesh)
+const LIP_INDICES = [
+  // inner upper
+  78, 191, 80, 81, 82, 13, 312, 311, 310,
+  // inner lower
+  178, 88, 95, 402, 318, 324, 308
+];
+
+// Helper functions
+function getLipPoints(landmarks, w, h) {
+  return LIP_INDICES.map(i => ({
+    x: Math.round(landmarks[i].x * w),
+    y: Math.round(landmarks[i].y * h)
+  }));
+}
+
+function euclideanDistance(p1, p2) {
+  const dx = p2.x - p1.x, dy = p2.y - p1.y;
+  return Math.hypot(dx, dy);
+}
+
+function getCenterPoint(points) {
+  let sx = 0, sy = 0;
+  for (const p of points) { sx += p.x; sy += p.y; }
+  return { x: sx / points.length, y: sy / points.length };
+}
+
+// Lip center (px) + openness ratio (mouthGap / mouthWidth) for one face
+function measureMouth(face, width, height) {
+  const lipCenter = getCenterPoint(getLipPoints(face, width, height));
+
+  const pUpper = { x: face[13].x * width,  y: face[13].y * height };
+  const pLower = { x: face[14].x * width,  y: face[14].y * height };
+  const pLeft  = { x: face[61].x * width,  y: face[61].y * height };
+  const pRight = { x: face[291].x * width, y: face[291].y * height };
+
+  const mouthWidth = Math.max(1, euclideanDistance(pLeft, pRight));
+  const mouthGap   = euclideanDistance(pUpper, pLower);
+  return { lipCenter, openness: mouthGap / mouthWidth, mouthWidth, mouthGap };
+}
+
+// Face scale (px): distance between the outer eye corners
+function measureFaceScale(face, width, height) {
+  const l = { x: face[33].x * width,  y: face[33].y * height };
+  const r = { x: face[263].x * width, y: face[263].y * height };
+  return Math.max(1, euclideanDistance(l, r));
+}
+
+// Jaw motion: nose tip → chin distance (vertical) and chin offset (lateral), in face-scale units
+function measureJaw(face, width, height, faceScale) {
+  const nose = { x: face[1].x * width,   y: face[1].y * height };
+  const chin = { x: face[152].x * width, y: face[152].y * height };
+  return {
+    jawOpen: euclideanDistance(nose, chin) / faceScale,
+    jawLateral: (chin.x - nose.x) / faceScale,
+  };
+}
+
+// Area of a lip point set, ordered by angle around its centroid (shoelace)
+function lipPolygonArea(points) {
+  const c = getCenterPoint(points);
+  const ring = [...points].sort((a, b) => Math.atan2(a.y - c.y, a.x - c.x) - Math.atan2(b.y - c.y, b.x - c.x));
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const p = ring[i], q = ring[(i + 1) % ring.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Lip shape features for talking/chewing (face-scale units, corners relative to the nose)
+// - roundness: inner lip polygon area / mouthWidth² (rounded "oo" lips → higher)
+function measureMouthShape(face, width, height, faceScale) {
+  const { openness, mouthWidth } = measureMouth(face, width, height);
+  const nose = { x: face[1].x * width, y: face[1].y * height };
+  const rel = (i) => [(face[i].x * width - nose.x) / faceScale, (face[i].y * height - nose.y) / faceScale];
+  return {
+    openness,
+    roundness: lipPolygonArea(getLipPoints(face, width, height)) / (mouthWidth * mouthWidth),
+    mouthWidth: mouthWidth / faceScale,
+    jawLateral: measureJaw(face, width, height, faceScale).jawLateral,
+    corners: [...rel(61), ...rel(291)],
+  };
+}
+
+// Hand depth cues relative to the face:
+// - scaleRatio: palm length (wrist → middle MCP) / face scale; ≈1 when hand and face
+//   are at the same distance, grows as the hand gets closer to the camera
+// - tipDepth: index/thumb tip z relative to the wrist, in palm lengths (MediaPipe z is
+//   wrist-relative, same units as x); negative = tips point toward the camera
+function measureHandDepth(hand, faceScale, width, height) {
+  const wrist = { x: hand[0].x * width, y: hand[0].y * height };
+  const mcp   = { x: hand[9].x * width, y: hand[9].y * height };
+  const palm  = Math.max(1, euclideanDistance(wrist, mcp));
+  const tipZ  = ((hand[4].z || 0) + (hand[8].z || 0)) / 2 - (hand[0].z || 0);
+  return { scaleRatio: palm / faceScale, tipDepth: (tipZ * width) / palm };
+}
+
+// Stable per-hand keys from MediaPipe handedness ("Left"/"Right"); falls back to
+// "hand1"/"hand2" and de-duplicates when both hands get the same label
+function handLabels(hands, handedness) {
+  const labels = [];
+  (hands || []).forEach((_, i) => {
+    let label = handedness?.[i]?.label || `hand${i + 1}`;
+    if (labels.includes(label)) label = `${label}#${i + 1}`;
+    labels.push(label);
+  });
+  return labels;
+}
+
+// Events (on / off from emitter.js – sibling <script> in the browser, module in Node):
+// "holdstart", "holdreset", "bitestart", "biteend", "episodestart", "episodeend",
+// "chew", "eating", "eatingend", "activity" (idle/chewing/talking changes)
+class EatingDetector extends (typeof Emitter !== "undefined" ? Emitter : require("./emitter.js").Emitter) {
+  constructor(options = {}) {
+    super();
+    // -------- Tunables (override via options) --------
+    for (const k of Object.keys(EatingDetector.DEFAULTS)) {
+      this[k] = (k in options) ? options[k] : EatingDetector.DEFAULTS[k];
+    }
+
+    // chew-rhythm.js: sibling <script> in the browser, module in Node
+    const Rhythm = typeof ChewRhythm !== "undefined" ? ChewRhythm : require("./chew-rhythm.js").ChewRhythm;
+    this.rhythm = new Rhythm({
+      windowMs: this.RHYTHM_WINDOW_MS,
+      minHz: this.CHEW_BAND_MIN_HZ,
+      maxHz: this.CHEW_BAND_MAX_HZ,
+    });
+
+    const Activity = typeof MouthActivityClassifier !== "undefined"
+      ? MouthActivityClassifier : require("./mouth-activity.js").MouthActivityClassifier;
+    this.mouthActivity = new Activity({ windowMs: this.ACTIVITY_WINDOW_MS, margin: this.TALK_MARGIN });
+
+    this.reset();
+  }
+
+  // -------- State --------
+  reset() {
+    this.mouthState = "closed";  // "open" | "closed"
+    this.chewEvents = [];        // timestamps (ms) of recent close events (EAT_WINDOW_MS)
+    this.eatingDetected = false;
+    this.rhythm.reset();
+    this.rhythmEstimate = this.rhythm.estimate();
+    this.rhythmSince = null;     // ts since the chew rhythm has been in band + confident
+    this.mouthActivity.reset();
+    this.activityResult = { activity: "idle", chewScore: 0, speechScore: 0 };
+    this.suppressedChews = 0;    // mouth closes ignored because the participant was talking
+
+    this.holds = {};             // per-hand hold state, keyed by handedness label (see _newHold)
+
+    this.bite = null;            // active bite {id, episodeId, hand, startTs, lastActivityTs, chews: [ts]}
+    this.episode = null;         // active episode {id, startTs, lastBiteEndTs, bites: [summary]}
+    this.episodes = [];          // finished episode summaries
+    this.nextBiteId = 1;
+    this.nextEpisodeId = 1;
+
+    this.wafers = {};            // last wafer recognition per hand label {ts, hand, ref, ...}
+  }
+
+  // Wafer recognized in a hand region at ts (see WaferDetector.detectRegion).
+  // info.hand: handedness label of that hand (omit → counts for any hand)
+  confirmWafer(ts, info = {}) {
+    const hand = info.hand ?? "*";
+    this.wafers[hand] = { ts, ...info };
+  }
+
+  // Most recent wafer recognition for this hand inside the confirm window, or null
+  _recentWafer(ts, hand) {
+    const seen = [this.wafers[hand], this.wafers["*"]]
+      .filter(w => w && ts - w.ts <= this.WAFER_CONFIRM_WINDOW_MS);
+    return seen.sort((a, b) => b.ts - a.ts)[0] || null;
+  }
+
+  _waferConfirmed(ts, hand) {
+    return !this.REQUIRE_WAFER || !!this._recentWafer(ts, hand);
+  }
+
+  // Chew counting is active while a bite is open
+  get waferTaken() { return !!this.bite; }
+
+  // Update tunables at runtime (config file / settings panel); unknown keys are ignored
+  configure(options = {}) {
+    for (const k of Object.keys(EatingDetector.DEFAULTS)) {
+      if (k in options) this[k] = options[k];
+    }
+    Object.assign(this.rhythm, {
+      windowMs: this.RHYTHM_WINDOW_MS,
+      minHz: this.CHEW_BAND_MIN_HZ,
+      maxHz: this.CHEW_BAND_MAX_HZ,
+    });
+    Object.assign(this.mouthActivity, { windowMs: this.ACTIVITY_WINDOW_MS, margin: this.TALK_MARGIN });
+  }
+
+  // Current tunables (DEFAULTS keys) → options for another detector / exports
+  getConfig() {
+    return Object.fromEntries(Object.keys(EatingDetector.DEFAULTS).map(k => [k, this[k]]));
+  }
+
+  // Per-user thresholds (see mouth-calibration.js)
+  setMouthThresholds({ OPEN_THR, CLOSE_THR }) {
+    if (!(CLOSE_THR > 0 && OPEN_THR > CLOSE_THR)) {
+      throw new Error(`Invalid mouth thresholds: open=${OPEN_THR} close=${CLOSE_THR}`);
+    }
+    this.OPEN_THR = OPEN_THR;
+    this.CLOSE_THR = CLOSE_THR;
+  }
+
+  // -------- Per-frame update --------
+  // frame: { face, hands, handedness, width, height, timestamp, wafer }
+  //   face       - 468 normalized landmarks ({x,y,z}) or null
+  //   hands      - array of 21-landmark arrays (up to two hands) or null
+  //   handedness - parallel to hands: [{label: "Left"|"Right", score}] (MediaPipe multiHandedness)
+  //   wafer      - optional wafer recognition(s) this frame ({hand, product, ref, confidence, templateScore, inliers})
+  update({ face = null, hands = null, handedness = null, width, height, timestamp, wafer = null }) {
+    const ts = timestamp;
+    for (const w of [].concat(wafer || [])) this.confirmWafer(ts, w);
+
+    // Bite / episode timeouts first (they only depend on time)
+    this._expire(ts);
+
+    // LIPS: lip center & openness
+    let lipCenter = null;
+    let openness = 0;
+    let faceScale = null;
+    if (face) {
+      ({ lipCenter, openness } = measureMouth(face, width, height));
+      faceScale = measureFaceScale(face, width, height);
+      this.rhythm.push(ts, openness, measureJaw(face, width, height, faceScale).jawOpen);
+
+      // Talking vs chewing (uses the previous frame's rhythm confidence)
+      this.mouthActivity.push(ts, measureMouthShape(face, width, height, faceScale));
+      const prevActivity = this.activityResult.activity;
+      this.activityResult = this.mouthActivity.classify({
+        closedThr: this.CLOSE_THR,
+        rhythmConfidence: this.rhythmEstimate.confidence,
+      });
+      if (this.activityResult.activity !== prevActivity) {
+        this._emit("activity", {
+          ts, activity: this.activityResult.activity, previous: prevActivity,
+          chewScore: this.activityResult.chewScore, speechScore: this.activityResult.speechScore,
+        });
+      }
+
+      // Chew detection (open/close cycles); suppressed while talking
+      if (this.mouthState === "closed" && openness > this.OPEN_THR) {
+        this.mouthState = "open";
+      } else if (this.mouthState === "open" && openness < this.CLOSE_THR) {
+        this.mouthState = "closed";
+        if (this.bite) {
+          if (this.activityResult.activity === "talking") this.suppressedChews++;
+          else this._pushChewEvent(ts, openness);
+        }
+      }
+    }
+    this._updateEating(ts, openness);
+
+    // HANDS: each hand has its own hold timer, so one leaving doesn't reset the other
+    const labels = handLabels(hands, handedness);
+    const handStates = [];
+    if (lipCenter) {
+      hands?.forEach((lm, i) => {
+        handStates.push(this._updateHand(labels[i], handedness?.[i]?.score ?? null, lm, {
+          ts, lipCenter, faceScale, openness, width, height,
+        }));
+      });
+    }
+    // Hands that disappeared (or no lips): reset their timers (an open bite keeps counting chews)
+    for (const label of Object.keys(this.holds)) {
+      if (handStates.some(h => h.hand === label)) continue;
+      if (this.holds[label].contactStartTs !== null) {
+        this._emit("holdreset", { ts, hand: label, reason: "lost", openness, chewCount: this.chewEvents.length });
+      }
+      delete this.holds[label];
+    }
+
+    // Headline hand for labels: a holding hand, else the one closest to the lips
+    const primary = [...handStates].sort((a, b) =>
+      (b.holding - a.holding) || (Math.max(a.indexRatio, a.thumbRatio) - Math.max(b.indexRatio, b.thumbRatio))
+    )[0] || null;
+
+    return {
+      timestamp: ts,
+      faceOk: !!face,
+      handOk: !!hands?.length,
+      lipCenter,
+      openness,
+      mouthState: this.mouthState,
+      faceScale,
+      hand: primary?.hand ?? null,
+      indexDistance: primary?.indexDistance ?? null,
+      thumbDistance: primary?.thumbDistance ?? null,
+      indexRatio: primary?.indexRatio ?? null,
+      thumbRatio: primary?.thumbRatio ?? null,
+      handScaleRatio: primary?.handScaleRatio ?? null,
+      tipDepth: primary?.tipDepth ?? null,
+      depthOk: primary?.depthOk ?? null,
+      holding: primary?.holding ?? false,
+      holdMs: primary?.holdMs ?? 0,
+      waferPending: primary?.waferPending ?? false,
+      hands: handStates,
+      waferTaken: this.waferTaken,
+      biteHand: this.bite?.hand ?? null,
+      chewCount: this.chewEvents.length,
+      chewsPerMinute: this.rhythmEstimate.chewsPerMinute,
+      chewConfidence: this.rhythmEstimate.confidence,
+      rhythmic: this.rhythmSince !== null,
+      mouthActivity: this.activityResult.activity,
+      chewScore: this.activityResult.chewScore,
+      speechScore: this.activityResult.speechScore,
+      suppressedChews: this.suppressedChews,
+      eating: this.eatingDetected,
+      biteId: this.bite?.id ?? null,
+      biteChews: this.bite?.chews.length ?? 0,
+      episodeId: this.episode?.id ?? null,
+      episodeBites: this.episode ? this.episode.bites.length + (this.bite ? 1 : 0) : 0,
+    };
+  }
+
+  // Band + depth gate and hold timer for one hand → per-hand state
+  _updateHand(label, score, handLm, { ts, lipCenter, faceScale, openness, width, height }) {
+    const hold = (this.holds[label] ||= this._newHold());
+    const indexTip = { x: handLm[8].x * width, y: handLm[8].y * height };
+    const thumbTip = { x: handLm[4].x * width, y: handLm[4].y * height };
+
+    const indexDistance = euclideanDistance(lipCenter, indexTip);
+    const thumbDistance = euclideanDistance(lipCenter, thumbTip);
+    const indexRatio = indexDistance / faceScale;
+    const thumbRatio = thumbDistance / faceScale;
+
+    const indexInRange = (indexRatio >= this.TOUCH_MIN_FACE && indexRatio <= this.TOUCH_MAX_FACE);
+    const thumbInRange = (thumbRatio >= this.TOUCH_MIN_FACE && thumbRatio <= this.TOUCH_MAX_FACE);
+
+    // Reject hands that only overlap the mouth in 2D but sit well in front of the face
+    const depth = measureHandDepth(handLm, faceScale, width, height);
+    const depthOk = depth.scaleRatio <= this.HAND_FACE_SCALE_MAX && depth.tipDepth >= this.TIP_DEPTH_MIN;
+
+    const holding = indexInRange && thumbInRange && depthOk;
+    const geo = {
+      hand: label, indexDistance, thumbDistance, indexRatio, thumbRatio, faceScale,
+      handScaleRatio: depth.scaleRatio, tipDepth: depth.tipDepth,
+    };
+    const m = { ...geo, openness, chewCount: this.chewEvents.length };
+
+    if (holding) {
+      if (!hold.holdingPrev) this._emit("holdstart", { ts, ...m });
+      hold.holdingPrev = true;
+      if (hold.contactStartTs == null) hold.contactStartTs = ts;
+      hold.lastHoldMs = ts - hold.contactStartTs;
+      // Bite only once the wafer was seen in this hand recently (keeps checking while held)
+      if (!hold.holdFired && hold.lastHoldMs >= this.CONTACT_REQUIRED_MS && this._waferConfirmed(ts, label)) {
+        hold.holdFired = true;
+        const seen = this._recentWafer(ts, label);
+        this._startBite(ts, {
+          holdMs: hold.lastHoldMs,
+          handScore: score,
+          waferProduct: seen?.product ?? null,
+          waferRef: seen?.ref ?? null,
+          waferAgeMs: seen ? ts - seen.ts : null,
+          ...m,
+        });
+      }
+    } else {
+      if (hold.holdingPrev) this._emit("holdreset", { ts, reason: "left-band", ...m });
+      Object.assign(hold, this._newHold());
+    }
+
+    return {
+      ...geo,
+      handScore: score,
+      depthOk,
+      holding,
+      holdMs: hold.lastHoldMs,
+      waferPending: holding && !hold.holdFired && !this._waferConfirmed(ts, label),
+    };
+  }
+
+  // End any open bite/episode (session stop, end of a replay) → last episode summary
+  finish(ts) {
+    if (this.bite) this._endBite(ts, "finish");
+    if (this.episode) this._endEpisode(ts);
+    return this.episodes[this.episodes.length - 1] || null;
+  }
+
+  // Summary of the active episode (or the last finished one)
+  getEpisodeSummary(ts) {
+    if (!this.episode) return this.episodes[this.episodes.length - 1] || null;
+    const bites = [...this.episode.bites];
+    if (this.bite) bites.push(this._biteSummary(this.bite, ts));
+    return this._episodeSummary(this.episode, bites, null);
+  }
+
+  _newHold() {
+    return {
+      contactStartTs: null,  // when both tips first within band
+      lastHoldMs: 0,         // progress
+      holdingPrev: false,    // for transition events
+      holdFired: false,      // hold already started a bite; re-arms once the hand leaves
+    };
+  }
+
+  _expire(ts) {
+    if (this.bite) {
+      const lastActivity = this.bite.lastActivityTs;
+      if (ts - lastActivity >= this.BITE_IDLE_MS) this._endBite(lastActivity, "idle");
+    }
+    if (this.episode && !this.bite && ts - this.episode.lastBiteEndTs >= this.EPISODE_IDLE_MS) {
+      this._endEpisode(this.episode.lastBiteEndTs);
+    }
+  }
+
+  _startBite(ts, detail) {
+    if (this.bite) this._endBite(ts, "next-bite");
+    if (!this.episode) {
+      this.episode = { id: this.nextEpisodeId++, startTs: ts, lastBiteEndTs: ts, bites: [] };
+      this._emit("episodestart", { ts, episodeId: this.episode.id });
+    }
+    this.bite = {
+      id: this.nextBiteId++, episodeId: this.episode.id, hand: detail.hand ?? null,
+      startTs: ts, lastActivityTs: ts, chews: [],
+    };
+    this._emit("bitestart", { ts, biteId: this.bite.id, episodeId: this.episode.id, ...detail });
+  }
+
+  _endBite(ts, reason) {
+    const summary = this._biteSummary(this.bite, ts);
+    this.episode.bites.push(summary);
+    this.episode.lastBiteEndTs = ts;
+    this.bite = null;
+    this._emit("biteend", { ts, reason, ...summary });
+  }
+
+  _endEpisode(ts) {
+    const summary = this._episodeSummary(this.episode, this.episode.bites, ts);
+    this.episodes.push(summary);
+    this.episode = null;
+    this._emit("episodeend", { ts, ...summary });
+  }
+
+  _biteSummary(bite, endTs) {
+    return {
+      biteId: bite.id,
+      episodeId: bite.episodeId,
+      hand: bite.hand,
+      startTs: bite.startTs,
+      endTs,
+      durationMs: endTs - bite.startTs,
+      chews: bite.chews.length,
+    };
+  }
+
+  _episodeSummary(episode, bites, endTs) {
+    const lastEnd = bites.length ? bites[bites.length - 1].endTs : episode.startTs;
+    const chewsPerBite = bites.map(b => b.chews);
+    const totalChews = chewsPerBite.reduce((a, b) => a + b, 0);
+    return {
+      episodeId: episode.id,
+      startTs: episode.startTs,
+      endTs: endTs ?? lastEnd,
+      durationMs: (endTs ?? lastEnd) - episode.startTs,
+      biteCount: bites.length,
+      totalChews,
+      meanChewsPerBite: bites.length ? totalChews / bites.length : 0,
+      chewsPerBite,
+      biteDurationsMs: bites.map(b => b.durationMs),
+      bites,
+    };
+  }
+
+  _pushChewEvent(ts, openness) {
+    this.chewEvents.push(ts);
+    this.bite.chews.push(ts);
+    this.bite.lastActivityTs = ts;
+    this._emit("chew", {
+      ts, openness,
+      chewCount: this.chewEvents.length,
+      biteId: this.bite.id,
+      biteChews: this.bite.chews.length,
+    });
+  }
+
+  // Eating = a bite is open and the chew rhythm has stayed in band for RHYTHM_SUSTAIN_MS
+  _updateEating(ts, openness) {
+    const cutoff = ts - this.EAT_WINDOW_MS;
+    while (this.chewEvents.length && this.chewEvents[0] < cutoff) this.chewEvents.shift();
+
+    const est = this.rhythmEstimate = this.rhythm.estimate();
+    const rhythmic = this.activityResult.activity !== "talking" && est.confidence >= this.RHYTHM_CONF_THR &&
+      est.frequencyHz >= this.CHEW_BAND_MIN_HZ && est.frequencyHz <= this.CHEW_BAND_MAX_HZ;
+    this.rhythmSince = rhythmic ? (this.rhythmSince ?? ts) : null;
+    if (rhythmic && this.bite) this.bite.lastActivityTs = ts; // shallow chews keep the bite open
+
+    const wasEating = this.eatingDetected;
+    this.eatingDetected = !!this.bite && this.rhythmSince !== null && ts - this.rhythmSince >= this.RHYTHM_SUSTAIN_MS;
+    const detail = {
+      ts, openness,
+      chewCount: this.chewEvents.length,
+      chewsPerMinute: est.chewsPerMinute,
+      chewConfidence: est.confidence,
+    };
+    if (!wasEating && this.eatingDetected) this._emit("eating", detail);
+    if (wasEating && !this.eatingDetected) this._emit("eatingend", detail);
+  }
+}
+
+EatingDetector.EVENT_TYPES = [
+  "holdstart", "holdreset", "bitestart", "biteend", "episodestart", "episodeend",
+  "chew", "eating", "eatingend", "activity",
+];
+
+EatingDetector.DEFAULTS = {
+  // Chew detection
+  EAT_WINDOW_MS: 8000,      // window for the recent chew count
+  OPEN_THR: 0.08,           // mouth open threshold (ratio)
+  CLOSE_THR: 0.04,          // mouth close threshold (ratio; lower than OPEN_THR)
+
+  // Chew rhythm (eating flag)
+  RHYTHM_WINDOW_MS: 6000,   // rolling openness/jaw history for the rate estimate
+  CHEW_BAND_MIN_HZ: 0.7,    // physiological chewing band (~42-150 chews/min)
+  CHEW_BAND_MAX_HZ: 2.5,
+  RHYTHM_CONF_THR: 0.5,     // rhythm confidence needed (0..1)
+  RHYTHM_SUSTAIN_MS: 2000,  // …held this long before "eating"
+
+  // Talking vs chewing
+  ACTIVITY_WINDOW_MS: 3000, // lip/jaw feature window
+  TALK_MARGIN: 0.1,         // score margin needed to switch chewing ↔ talking
+
+  // Wafer-to-mouth gating (both tips in band for hold time)
+  CONTACT_REQUIRED_MS: 100, // hold time (ms)
+  TOUCH_MIN_FACE: 0.01,     // inner radius of acceptable band (× inter-ocular distance)
+  TOUCH_MAX_FACE: 0.4,      // outer radius (≈40 px for a face ~100 px eye-to-eye at 640x480)
+  HAND_FACE_SCALE_MAX: 1.6, // palm/face size ratio above this → hand is in front of the face
+  TIP_DEPTH_MIN: -0.5,      // tips more than this many palm lengths toward camera → rejected
+
+  // Wafer confirmation (WaferDetector on a crop around the hand)
+  REQUIRE_WAFER: false,     // true → a hold only starts a bite if the wafer was recognized
+  WAFER_CONFIRM_WINDOW_MS: 1500, // …within this long before/while holding
+
+  // Bites / episodes
+  BITE_IDLE_MS: 10000,      // bite ends after this long without a chew
+  EPISODE_IDLE_MS: 60000,   // episode ends after this long without an open bite
+};
+
+// Node (tests / offline tools): require("./eating-detector.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EatingDetector, LIP_INDICES, measureMouth, measureFaceScale, measureJaw, measureMouthShape, measureHandDepth, getLipPoints, euclideanDistance, getCenterPoint };
+}
@@ -0,0 +1,30 @@
+// emitter.js
+// Listener registry shared by the detectors and streams: on(type, fn) → unsubscribe, off,
+// _emit (a throwing listener is logged; the others still run)
+
+class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+    return () => this.off(type, fn);
+  }
+
+  off(type, fn) {
+    const list = this.listeners[type];
+    if (list) this.listeners[type] = list.filter(f => f !== fn);
+  }
+
+  _emit(type, detail) {
+    for (const fn of this.listeners[type] || []) {
+      try { fn(detail); } catch (e) { console.error(`[${this.constructor.name}] ${type} listener:`, e); }
+    }
+  }
+}
+
+// Node (tests / offline tools): require("./emitter.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Emitter };
+}
@@ -0,0 +1,277 @@
+// event-stream.js
+// Optional live output of detection results to a local backend and/or an embedding page.
+// - ws(s):// endpoint → one WebSocket message per frame; http(s):// → batched JSON POSTs
+// - Reconnects with backoff; messages queue while offline (oldest dropped past STREAM_BUFFER_MAX)
+// - Inside an iframe every message also goes to window.parent ({ source: "eating-stream", ...})
+
+const STREAM_MESSAGE_VERSION = 1;
+const STREAM_BRIDGE_SOURCE = "eating-stream";
+const STREAM_URL_KEY = "stream:url";
+
+// Events: on(type, fn) → unsubscribe function (emitter.js); types in EventStream.EVENT_TYPES
+class EventStream extends (typeof Emitter !== "undefined" ? Emitter : require("./emitter.js").Emitter) {
+  // url: ws(s):// or http(s):// endpoint (null = bridge only)
+  // sessionLog: SessionLog whose session id / page are stamped on every message
+  // bridgeOrigin: parent origin for the postMessage bridge (null = off, "*" = any)
+  constructor({ url = null, sessionLog = null, bridgeOrigin = null } = {}) {
+    super();
+    // -------- Tunables --------
+    this.STREAM_BUFFER_MAX = 2000;    // queued messages kept while offline
+    this.STREAM_BATCH = 50;           // messages per HTTP POST
+    this.STREAM_RETRY_MIN_MS = 1000;
+    this.STREAM_RETRY_MAX_MS = 30000;
+
+    // -------- State --------
+    this.sessionLog = sessionLog;
+    this.bridgeOrigin = bridgeOrigin;
+    this.url = null;
+    this.state = "idle";      // idle | connecting | open | waiting (retry scheduled) | closed
+    this.socket = null;
+    this.queue = [];
+    this.seq = 0;
+    this.sent = 0;
+    this.dropped = 0;
+    this.sending = false;     // HTTP POST in flight
+    this.retryMs = this.STREAM_RETRY_MIN_MS;
+    this.retryTimer = null;
+
+    if (typeof window !== "undefined") window.addEventListener("online", () => this._retryNow());
+    if (url) this.connect(url);
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this._emit("state", this.status());
+  }
+
+  status() {
+    return { state: this.state, url: this.url, queued: this.queue.length, sent: this.sent, dropped: this.dropped };
+  }
+
+  // -------- Connection --------
+  // Switches to `url` (queued messages are kept and go to the new endpoint)
+  connect(url) {
+    this._disconnect();
+    this.url = url || null;
+    this.retryMs = this.STREAM_RETRY_MIN_MS;
+    if (!this.url) {
+      this._setState("idle");
+      return;
+    }
+    if (!/^(wss?|https?):\/\//i.test(this.url)) {
+      this._emit("error", { error: new Error(`Unsupported stream URL ${this.url} (ws://, wss://, http://, https://)`) });
+      this.url = null;
+      this._setState("idle");
+      return;
+    }
+    this._open();
+  }
+
+  // Stops sending; the queue is kept until the next connect
+  close() {
+    this._disconnect();
+    this._setState("closed");
+  }
+
+  _disconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+  }
+
+  _open() {
+    if (!/^wss?:/i.test(this.url)) {
+      // HTTP: nothing to hold open, "open" = POST whenever there is something queued
+      this._setState("open");
+      this._flush();
+      return;
+    }
+    this._setState("connecting");
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (e) {
+      this._fail(e);
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => {
+      this.retryMs = this.STREAM_RETRY_MIN_MS;
+      this._setState("open");
+      this._flush();
+    };
+    socket.onclose = (e) => {
+      if (this.socket !== socket) return; // replaced / closed on purpose
+      this.socket = null;
+      this._fail(new Error(`WebSocket closed (${e.code})`));
+    };
+  }
+
+  // Connection or POST failed → retry later with backoff
+  _fail(error) {
+    if (!this.url) return;
+    this._emit("error", { error, retryMs: this.retryMs });
+    this._setState("waiting");
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._open();
+    }, this.retryMs);
+    this.retryMs = Math.min(this.retryMs * 2, this.STREAM_RETRY_MAX_MS);
+  }
+
+  _retryNow() {
+    if (this.state !== "waiting") return;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryMs = this.STREAM_RETRY_MIN_MS;
+    this._open();
+  }
+
+  // -------- Messages --------
+  // → the message (also when it is only queued)
+  send(type, data = {}) {
+    const message = {
+      v: STREAM_MESSAGE_VERSION,
+      type,
+      sessionId: this.sessionLog?.sessionId ?? null,
+      page: this.sessionLog?.page ?? null,
+      seq: ++this.seq,
+      time: new Date().toISOString(),
+      tMs: +performance.now().toFixed(1),
+      data,
+    };
+    this._bridge(message);
+    if (!this.url) return message;
+
+    this.queue.push(message);
+    const excess = this.queue.length - this.STREAM_BUFFER_MAX;
+    if (excess > 0) {
+      this.queue.splice(0, excess);
+      this.dropped += excess;
+    }
+    this._flush();
+    return message;
+  }
+
+  async _flush() {
+    if (this.state !== "open" || !this.queue.length) return;
+
+    if (this.socket) {
+      while (this.queue.length && this.socket.readyState === WebSocket.OPEN) {
+        this.socket.send(JSON.stringify(this.queue[0]));
+        this.queue.shift();
+        this.sent++;
+      }
+      return;
+    }
+
+    if (this.sending) return;
+    this.sending = true;
+    const batch = this.queue.slice(0, this.STREAM_BATCH);
+    try {
+      const res = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(batch),
+        keepalive: true,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (e) {
+      this.sending = false;
+      this._fail(e);
+      return;
+    }
+    this.sending = false;
+    // Overflow may have dropped part of the batch meanwhile
+    const posted = new Set(batch);
+    this.queue = this.queue.filter(m => !posted.has(m));
+    this.sent += batch.length;
+    this.retryMs = this.STREAM_RETRY_MIN_MS;
+    this._flush();
+  }
+
+  _bridge(message) {
+    if (!this.bridgeOrigin || typeof window === "undefined" || window.parent === window) return;
+    try {
+      window.parent.postMessage({ source: STREAM_BRIDGE_SOURCE, ...message }, this.bridgeOrigin);
+    } catch (e) {
+      console.warn("[EventStream] postMessage bridge:", e);
+    }
+  }
+}
+
+EventStream.EVENT_TYPES = ["state", "error"];
+
+// ?stream=ws://localhost:8765&embedOrigin=https://dashboard.local → { url, bridgeOrigin }
+// The URL falls back to the one saved from the page; the bridge is on inside an iframe, for
+// the embedding page's origin (referrer) unless embedOrigin names another one
+function eventStreamOptions(search = location.search) {
+  const query = new URLSearchParams(search);
+  const url = query.get("stream") ?? localStorage.getItem(STREAM_URL_KEY);
+  const embedded = window.parent !== window;
+  let bridgeOrigin = query.get("embedOrigin");
+  if (!bridgeOrigin && embedded && document.referrer) bridgeOrigin = new URL(document.referrer).origin;
+  return { url: url || null, bridgeOrigin: embedded ? bridgeOrigin || null : null };
+}
+
+// -------- Detector wiring --------
+// EatingDetector events → "eating:<type>" messages (per-bite arrays stay in the log export)
+function streamEatingEvents(stream, detector) {
+  for (const type of detector.constructor.EVENT_TYPES) {
+    detector.on(type, ({ bites, ...detail }) => stream.send(`eating:${type}`, detail));
+  }
+}
+
+function waferStreamFields(d) {
+  return {
+    ts: d.ts,
+    present: d.present,
+    label: d.label,
+    confidence: +d.confidence.toFixed(3),
+    smoothedConfidence: +d.smoothedConfidence.toFixed(3),
+    inliers: d.inliers,
+    templateScore: d.templateScore,
+    rejected: d.rejected ? d.rejected.label : null,
+    trackId: d.track ? d.track.id : null,
+  };
+}
+
+// WaferDetector pass / lost / label → "wafer:<type>"; confidence as "wafer:confidence" at
+// most every intervalMs
+function streamWaferEvents(stream, detector, intervalMs = 250) {
+  for (const type of ["pass", "lost", "label"]) {
+    detector.on(type, (d) => stream.send(`wafer:${type}`, waferStreamFields(d)));
+  }
+  let lastTs = -Infinity;
+  detector.on("frame", (d) => {
+    if (d.ts - lastTs < intervalMs) return;
+    lastTs = d.ts;
+    stream.send("wafer:confidence", waferStreamFields(d));
+  });
+}
+
+// ---- Page helpers (stream URL field + status) ----
+function setStreamUi(status) {
+  const el = document.getElementById("streamStatus");
+  if (!el) return;
+  const { state, queued, sent, dropped } = status;
+  el.textContent = `Stream: ${state}, ${sent} sent, ${queued} queued` + (dropped ? `, ${dropped} dropped` : "");
+}
+
+// Connects `stream` to the URL in #streamUrl (empty = stop) and remembers it
+function applyStreamUrl(stream) {
+  const url = document.getElementById("streamUrl")?.value.trim() || "";
+  if (url) localStorage.setItem(STREAM_URL_KEY, url);
+  else localStorage.removeItem(STREAM_URL_KEY);
+  stream.connect(url);
+  setStreamUi(stream.status());
+}
+
+// Node (tests / offline tools): require("./event-stream.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EventStream, waferStreamFields, STREAM_BRIDGE_SOURCE };
+}
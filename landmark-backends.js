@@ -0,0 +1,440 @@
+// landmark-backends.js
+// Where the face / hand landmarks come from. Every backend has the same interface:
+// - init() → Promise (models loaded); setOptions(config) with the page config keys
+//   (MAX_PARTICIPANTS, FACE_/HAND_MIN_*_CONFIDENCE, HAND_MODEL_COMPLEXITY; may return a
+//   Promise that rejects when the models refuse them); reset(); close()
+// - detect(image, timestamp ms) → { face, faces, hands, handedness, wafer? }: normalized
+//   landmarks (FaceMesh 468 / Hands 21 points), handedness from the participant's point of view
+// - usesCamera: false → no <video> needed, frames come from the backend's own clock (fps)
+// - assetPackages: offline-assets.js packages the backend needs
+// Backends:
+// - legacy: MediaPipe Solutions FaceMesh + Hands (default)
+// - tasks:  MediaPipe Tasks FaceLandmarker + HandLandmarker in VIDEO mode
+// - mock:   scripted landmark trajectories (MOCK_SCENARIOS), deterministic, no DOM / camera / GPU
+// Headless (CI): const { MockLandmarkBackend, collectFrames } = require("./landmark-backends.js");
+//   const frames = await collectFrames(new MockLandmarkBackend({}, { scenario: "bite" }));
+//   replayRecording(frames, new ParticipantMonitor()) (landmark-recorder.js) → states + events
+//   (see test/landmark-backends.test.js)
+
+// offline-assets.js: sibling <script> in the browser, module in Node
+function offlineAssetsModule() {
+  return typeof assetUrl !== "undefined" ? { assetUrl, loadAssetScript } : require("./offline-assets.js");
+}
+
+// MediaPipe labels handedness as if the image were mirrored (selfie view); our feeds are
+// not mirrored, so swap to get the participant's own left/right hand
+// list: [{label, score}] (Solutions multiHandedness, or Tasks categories flattened)
+function participantHandedness(list) {
+  if (!list) return null;
+  const swap = { Left: "Right", Right: "Left" };
+  return list.map(h => ({ label: swap[h.label] || h.label, score: +h.score.toFixed(3) }));
+}
+
+// Per-frame landmark fields (same shape for every backend)
+function landmarkFrame(faces, hands, handedness) {
+  return {
+    face: faces?.[0] || null, // calibration / file analysis: the first face
+    faces: faces?.length ? faces : null,
+    hands: hands?.length ? hands : null,
+    handedness: hands?.length ? participantHandedness(handedness) : null,
+  };
+}
+
+// -------- MediaPipe Solutions (FaceMesh + Hands) --------
+class LegacySolutionsBackend {
+  constructor(config = {}) {
+    this.name = "legacy";
+    this.usesCamera = true;
+    this.assetPackages = ["face_mesh", "hands"];
+    this.config = { ...config };
+    this.faceMesh = null;
+    this.hands = null;
+    // onResults callbacks land here; detect() reads them after each send()
+    this.latestFace = null;
+    this.latestHands = null;
+  }
+
+  async init() {
+    const { assetUrl, loadAssetScript } = offlineAssetsModule();
+    await Promise.all([loadAssetScript("face_mesh/face_mesh.js"), loadAssetScript("hands/hands.js")]);
+    this.faceMesh = new FaceMesh({ locateFile: (file) => assetUrl("face_mesh", file) });
+    this.faceMesh.onResults((results) => { this.latestFace = results; });
+    this.hands = new Hands({ locateFile: (file) => assetUrl("hands", file) });
+    this.hands.onResults((results) => { this.latestHands = results; });
+    this.setOptions(this.config);
+  }
+
+  setOptions(config) {
+    Object.assign(this.config, config);
+    const c = this.config;
+    this.faceMesh?.setOptions({
+      maxNumFaces: c.MAX_PARTICIPANTS,
+      refineLandmarks: true,
+      minDetectionConfidence: c.FACE_MIN_DETECTION_CONFIDENCE,
+      minTrackingConfidence: c.FACE_MIN_TRACKING_CONFIDENCE,
+    });
+    this.hands?.setOptions({
+      maxNumHands: c.MAX_PARTICIPANTS * 2,
+      minDetectionConfidence: c.HAND_MIN_DETECTION_CONFIDENCE,
+      minTrackingConfidence: c.HAND_MIN_TRACKING_CONFIDENCE,
+      modelComplexity: c.HAND_MODEL_COMPLEXITY,
+    });
+  }
+
+  // Both models on one image (the solutions keep their own clock, timestamp is unused)
+  async detect(image) {
+    await this.faceMesh.send({ image });
+    await this.hands.send({ image });
+    return landmarkFrame(
+      this.latestFace?.multiFaceLandmarks,
+      this.latestHands?.multiHandLandmarks,
+      this.latestHands?.multiHandedness,
+    );
+  }
+
+  reset() {
+    this.faceMesh?.reset?.();
+    this.hands?.reset?.();
+  }
+
+  close() {
+    this.faceMesh?.close?.();
+    this.hands?.close?.();
+  }
+}
+
+// -------- MediaPipe Tasks (FaceLandmarker + HandLandmarker, VIDEO mode) --------
+const TASKS_FACE_MODEL = "face_landmarker/face_landmarker/float16/1/face_landmarker.task";
+const TASKS_HAND_MODEL = "hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task";
+
+class TasksVisionBackend {
+  // delegate: "GPU" (falls back to "CPU" when the GPU delegate cannot be created) | "CPU"
+  constructor(config = {}, { delegate = "GPU" } = {}) {
+    this.name = "tasks";
+    this.usesCamera = true;
+    this.assetPackages = ["tasks_vision", "tasks_models"];
+    this.config = { ...config };
+    this.delegate = delegate;
+    this.faceLandmarker = null;
+    this.handLandmarker = null;
+    this.lastTs = -Infinity; // VIDEO mode rejects timestamps that do not increase
+  }
+
+  async init() {
+    const { assetUrl } = offlineAssetsModule();
+    const vision = await import(assetUrl("tasks_vision", "vision_bundle.mjs"));
+    const fileset = await vision.FilesetResolver.forVisionTasks(assetUrl("tasks_vision", "wasm"));
+    const create = async (Landmarker, model, options) => {
+      const make = (delegate) => Landmarker.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: assetUrl("tasks_models", model), delegate },
+        runningMode: "VIDEO",
+        ...options,
+      });
+      if (this.delegate !== "GPU") return make(this.delegate);
+      try {
+        return await make("GPU");
+      } catch (e) {
+        console.warn(`[landmarks] GPU delegate unavailable, using CPU: ${e.message}`);
+        return make("CPU");
+      }
+    };
+    this.faceLandmarker = await create(vision.FaceLandmarker, TASKS_FACE_MODEL, this._faceOptions());
+    this.handLandmarker = await create(vision.HandLandmarker, TASKS_HAND_MODEL, this._handOptions());
+  }
+
+  _faceOptions() {
+    const c = this.config;
+    return {
+      numFaces: c.MAX_PARTICIPANTS,
+      minFaceDetectionConfidence: c.FACE_MIN_DETECTION_CONFIDENCE,
+      minTrackingConfidence: c.FACE_MIN_TRACKING_CONFIDENCE,
+    };
+  }
+
+  _handOptions() {
+    const c = this.config;
+    return {
+      numHands: c.MAX_PARTICIPANTS * 2,
+      minHandDetectionConfidence: c.HAND_MIN_DETECTION_CONFIDENCE,
+      minTrackingConfidence: c.HAND_MIN_TRACKING_CONFIDENCE,
+    };
+  }
+
+  // HAND_MODEL_COMPLEXITY has no Tasks equivalent (one hand model). The landmarkers apply
+  // options asynchronously → Promise of both updates
+  setOptions(config) {
+    Object.assign(this.config, config);
+    return Promise.all([
+      this.faceLandmarker?.setOptions(this._faceOptions()),
+      this.handLandmarker?.setOptions(this._handOptions()),
+    ]);
+  }
+
+  async detect(image, timestamp) {
+    // Camera time and video-file time both go through one landmarker: keep it increasing
+    const ts = Math.max(Math.round(timestamp), this.lastTs + 1);
+    this.lastTs = ts;
+    const face = this.faceLandmarker.detectForVideo(image, ts);
+    const hand = this.handLandmarker.detectForVideo(image, ts);
+    return landmarkFrame(
+      face.faceLandmarks,
+      hand.landmarks,
+      hand.handedness?.map(([c]) => ({ label: c.categoryName, score: c.score })),
+    );
+  }
+
+  // Tracking restarts from detection on the next frames; timestamps stay monotonic
+  reset() {}
+
+  close() {
+    this.faceLandmarker?.close();
+    this.handLandmarker?.close();
+  }
+}
+
+// -------- Scripted mock --------
+// Scenario: { width, height, durationMs, faces: [faceTrack], hands: [handTrack], wafer: [window] }
+// - faceTrack: { keys: [[tMs, x, y]] (nose tip, normalized), scale (eye-corner distance,
+//   × width), open (resting mouth openness), chew: [{fromMs, toMs, hz, min, max}],
+//   talk: [{fromMs, toMs}] }
+// - handTrack: { label ("Left"/"Right", the participant's own), keys: [[tMs, x, y]] (index +
+//   thumb tips, normalized), palm (wrist → middle knuckle, × width) }
+// - wafer: [{fromMs, toMs, hand, product, participant?}] → frame.wafer while inside
+// Positions are interpolated linearly between keys; a track is out of view before its first
+// and after its last key (a single key: in view from then on, standing still). Scenario time
+// restarts every durationMs when loop is set.
+const MOCK_SCENARIOS = {
+  // One person: right hand brings the wafer to the mouth (held ~0.8 s), then ~6 s of chewing
+  bite: {
+    width: 640,
+    height: 480,
+    durationMs: 10000,
+    faces: [{ keys: [[0, 0.5, 0.4]], scale: 0.15, chew: [{ fromMs: 2500, toMs: 9000, hz: 1.5, min: 0.02, max: 0.2 }] }],
+    hands: [{ label: "Right", palm: 0.12, keys: [[0, 0.7, 0.95], [1000, 0.5, 0.5], [1800, 0.5, 0.5], [2400, 0.7, 0.95]] }],
+    wafer: [{ fromMs: 700, toMs: 1800, hand: "Right", product: "wafer" }],
+  },
+  // Two people at a table: the left one only talks with the hands down, the right one eats
+  table: {
+    width: 640,
+    height: 480,
+    durationMs: 10000,
+    faces: [
+      { keys: [[0, 0.25, 0.4]], scale: 0.12, talk: [{ fromMs: 500, toMs: 9500 }] },
+      { keys: [[0, 0.75, 0.4]], scale: 0.12, chew: [{ fromMs: 2500, toMs: 9000, hz: 1.4, min: 0.02, max: 0.2 }] },
+    ],
+    hands: [
+      { label: "Left", palm: 0.1, keys: [[0, 0.3, 0.95]] },
+      { label: "Right", palm: 0.1, keys: [[0, 0.9, 0.95], [1000, 0.75, 0.48], [1800, 0.75, 0.48], [2400, 0.9, 0.95]] },
+    ],
+    wafer: [{ fromMs: 700, toMs: 1800, hand: "Right", product: "wafer" }],
+  },
+};
+
+// keys [[t, x, y]] → {x, y} at t, or null outside the keyed span
+function mockTrackPosition(keys, t) {
+  if (!keys?.length || t < keys[0][0]) return null;
+  if (keys.length === 1) return { x: keys[0][1], y: keys[0][2] };
+  if (t > keys[keys.length - 1][0]) return null;
+  let i = 0;
+  while (i < keys.length - 2 && keys[i + 1][0] < t) i++;
+  const [t0, x0, y0] = keys[i];
+  const [t1, x1, y1] = keys[Math.min(i + 1, keys.length - 1)];
+  const u = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+  return { x: x0 + (x1 - x0) * u, y: y0 + (y1 - y0) * u };
+}
+
+// Mouth at t → { openness (gap / width), lateral (chin sway × scale), spread (width factor) }
+// - chew: lips closed half of every cycle, open in a bump, the jaw swaying sideways
+// - talk: irregular opening (incommensurate sines) with the mouth rounding / spreading
+function mockMouth(track, t) {
+  const chew = (track.chew || []).find(c => t >= c.fromMs && t < c.toMs);
+  if (chew) {
+    const phase = 2 * Math.PI * chew.hz * (t - chew.fromMs) / 1000;
+    return { openness: chew.min + (chew.max - chew.min) * Math.max(0, Math.sin(phase)) ** 2, lateral: 0.05 * Math.sin(phase), spread: 1 };
+  }
+  if ((track.talk || []).some(w => t >= w.fromMs && t < w.toMs)) {
+    const s = t / 1000;
+    return {
+      openness: 0.05 + 0.15 * Math.abs(Math.sin(2 * Math.PI * 2.3 * s) * Math.sin(2 * Math.PI * 0.7 * s + 1)),
+      lateral: 0,
+      spread: 1 + 0.15 * Math.sin(2 * Math.PI * 1.9 * s),
+    };
+  }
+  return { openness: track.open ?? 0.02, lateral: 0, spread: 1 };
+}
+
+// 468 face points around nose tip (cx, cy) px; only the points the detector reads are
+// placed (eye corners, nose, lips, chin), the rest sit on the nose
+function mockFace(cx, cy, scale, { openness, lateral, spread }, width, height) {
+  const points = Array.from({ length: 468 }, () => ({ x: cx, y: cy }));
+  const set = (i, x, y) => { points[i] = { x, y }; };
+  set(33, cx - scale / 2, cy - 0.3 * scale);
+  set(263, cx + scale / 2, cy - 0.3 * scale);
+
+  const ly = cy + 0.45 * scale;
+  const mouthWidth = 0.45 * scale * spread;
+  const gap = openness * mouthWidth;
+  const lip = (u, side) => ({ x: cx + u * mouthWidth / 2, y: ly + side * gap / 2 * (1 - u * u) });
+  const upper = [78, 191, 80, 81, 82, 13, 312, 311, 310];
+  const lower = [178, 88, 95, 402, 318, 324, 308];
+  upper.forEach((i, k) => { const p = lip(-1 + 2 * k / 8, -1); set(i, p.x, p.y); });
+  lower.forEach((i, k) => { const p = lip(-1 + 2 * (k + 1) / 8, 1); set(i, p.x, p.y); });
+  set(13, cx, ly - gap / 2);
+  set(14, cx, ly + gap / 2);
+  set(61, cx - mouthWidth / 2, ly);
+  set(291, cx + mouthWidth / 2, ly);
+  set(152, cx + lateral * scale, ly + 0.35 * scale + gap);
+
+  return points.map(p => ({ x: p.x / width, y: p.y / height, z: 0 }));
+}
+
+// 21 hand points: thumb / index tips either side of (tx, ty) px, wrist and middle knuckle
+// below them (palm px apart); the rest sit on the knuckle
+function mockHand(tx, ty, palm, width, height) {
+  const points = Array.from({ length: 21 }, () => ({ x: tx, y: ty + 0.6 * palm }));
+  points[0] = { x: tx, y: ty + 1.6 * palm };
+  points[4] = { x: tx - 0.1 * palm, y: ty };
+  points[8] = { x: tx + 0.1 * palm, y: ty };
+  return points.map(p => ({ x: p.x / width, y: p.y / height, z: 0 }));
+}
+
+class MockLandmarkBackend {
+  // scenario: MOCK_SCENARIOS name or a scenario object; fps: frame rate of the page loop
+  constructor(config = {}, { scenario = "bite", fps = 30, loop = false } = {}) {
+    const script = typeof scenario === "string" ? MOCK_SCENARIOS[scenario] : scenario;
+    if (!script) throw new Error(`unknown mock scenario "${scenario}" (${Object.keys(MOCK_SCENARIOS).join(", ")})`);
+    this.name = "mock";
+    this.usesCamera = false;
+    this.assetPackages = [];
+    this.config = { ...config };
+    this.scenario = script;
+    this.width = script.width || 640;
+    this.height = script.height || 480;
+    this.durationMs = script.durationMs;
+    this.fps = fps;
+    this.loop = loop;
+    this.startTs = null;
+  }
+
+  async init() {}
+
+  setOptions(config) { Object.assign(this.config, config); }
+
+  // Scenario time starts at the first detect() after construction / reset()
+  async detect(image, timestamp) {
+    if (this.startTs === null) this.startTs = timestamp;
+    let t = timestamp - this.startTs;
+    if (this.loop && this.durationMs) t %= this.durationMs;
+    return this.frameAt(t);
+  }
+
+  // Landmark fields at scenario time t (ms)
+  frameAt(t) {
+    const { width, height, scenario } = this;
+    const faces = [];
+    for (const track of scenario.faces || []) {
+      const pos = mockTrackPosition(track.keys, t);
+      if (!pos || faces.length >= (this.config.MAX_PARTICIPANTS ?? Infinity)) continue;
+      faces.push(mockFace(pos.x * width, pos.y * height, track.scale * width, mockMouth(track, t), width, height));
+    }
+    const hands = [];
+    const handedness = [];
+    for (const track of scenario.hands || []) {
+      const pos = mockTrackPosition(track.keys, t);
+      if (!pos) continue;
+      hands.push(mockHand(pos.x * width, pos.y * height, track.palm * width, width, height));
+      // MediaPipe convention (mirrored), like the real models report it
+      handedness.push({ label: track.label === "Left" ? "Right" : "Left", score: 1 });
+    }
+    const wafer = (scenario.wafer || [])
+      .filter(w => t >= w.fromMs && t < w.toMs)
+      .map(({ hand, product = "wafer", participant = null }) => ({
+        hand, product, ref: "mock", confidence: 1, ...(participant ? { participant } : {}),
+      }));
+    return { ...landmarkFrame(faces, hands, handedness), wafer: wafer.length ? wafer : null };
+  }
+
+  reset() { this.startTs = null; }
+
+  close() {}
+}
+
+// -------- Selection / frame sources --------
+const LANDMARK_BACKENDS = { legacy: LegacySolutionsBackend, tasks: TasksVisionBackend, mock: MockLandmarkBackend };
+
+// ?backend=legacy|tasks|mock (&scenario=bite|table, &delegate=CPU) → { name, options }
+function landmarkBackendOptions(search = location.search) {
+  const query = new URLSearchParams(search);
+  const name = query.get("backend") || "legacy";
+  const options = {};
+  if (query.get("scenario")) options.scenario = query.get("scenario");
+  if (query.get("delegate")) options.delegate = query.get("delegate").toUpperCase();
+  if (name === "mock") options.loop = true;
+  return { name, options };
+}
+
+// config: page config (model options); options: backend-specific (see the constructors)
+function createLandmarkBackend(name, config = {}, options = {}) {
+  const Backend = LANDMARK_BACKENDS[name];
+  if (!Backend) throw new Error(`unknown landmark backend "${name}" (${Object.keys(LANDMARK_BACKENDS).join(", ")})`);
+  return new Backend(config, options);
+}
+
+// getUserMedia → videoEl, then onFrame() once per new video frame; the next frame waits for
+// the previous onFrame, so slow models drop frames instead of queueing them → { stop() }
+async function startCameraLoop(videoEl, onFrame, { width = 640, height = 480 } = {}) {
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { width, height }, audio: false });
+  videoEl.srcObject = stream;
+  await videoEl.play();
+  let running = true;
+  const next = () => {
+    if (!running) return;
+    if (videoEl.requestVideoFrameCallback) videoEl.requestVideoFrameCallback(tick);
+    else requestAnimationFrame(tick);
+  };
+  const tick = async () => {
+    try { await onFrame(); } catch (e) { console.error("[camera] frame:", e); }
+    next();
+  };
+  next();
+  return {
+    stop() {
+      running = false;
+      stream.getTracks().forEach(track => track.stop());
+    },
+  };
+}
+
+// Camera-less backends (mock): onFrame() every 1000 / fps ms on a timer → { stop() }
+function startClockLoop(onFrame, fps = 30) {
+  let running = true;
+  const tick = async () => {
+    if (!running) return;
+    const started = performance.now();
+    try { await onFrame(); } catch (e) { console.error("[clock] frame:", e); }
+    setTimeout(tick, Math.max(0, 1000 / fps - (performance.now() - started)));
+  };
+  tick();
+  return { stop() { running = false; } };
+}
+
+// Headless run: frames at `fps` over durationMs, as EatingDetector / ParticipantMonitor input
+// (same shape as a parsed recording, see replayRecording in landmark-recorder.js)
+async function collectFrames(backend, { durationMs = backend.durationMs, fps = backend.fps || 30, width = backend.width, height = backend.height } = {}) {
+  await backend.init();
+  backend.reset();
+  const frames = [];
+  for (let i = 0; i * 1000 / fps < durationMs; i++) {
+    const timestamp = i * 1000 / fps;
+    frames.push({ ...(await backend.detect(null, timestamp)), width, height, timestamp });
+  }
+  return frames;
+}
+
+// Node (tests / offline tools): require("./landmark-backends.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LegacySolutionsBackend, TasksVisionBackend, MockLandmarkBackend, MOCK_SCENARIOS, LANDMARK_BACKENDS,
+    createLandmarkBackend, collectFrames, participantHandedness, landmarkFrame, mockTrackPosition,
+  };
+}
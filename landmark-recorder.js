@@ -0,0 +1,154 @@
+// landmark-recorder.js
+// Record FaceMesh/Hands landmark streams to JSON Lines and replay them.
+// - Line 1 is a header ({type:"header", ...}), then one line per frame
+// - Frame: {t, w, h, face, fs?, hands, hd?, wafer?} with landmarks packed as [x, y, z] triples
+//   (fs = every face when there are several, face = the first; hd = handedness per hand: [{label, score}])
+// - Replay feeds frames back through the same per-frame handler as the camera,
+//   using the recorded timestamps (so gating/chew timing is reproduced exactly)
+
+const RECORDING_VERSION = 1;
+const LM_DIGITS = 5; // normalized coords → 5 decimals is sub-pixel at 4K
+
+function packLandmarks(lms) {
+  const r = (v) => +(v || 0).toFixed(LM_DIGITS);
+  return lms.map(p => [r(p.x), r(p.y), r(p.z)]);
+}
+
+function unpackLandmarks(arr) {
+  return arr.map(([x, y, z]) => ({ x, y, z }));
+}
+
+function packFrame({ face, faces, hands, handedness, width, height, timestamp, wafer }) {
+  const packed = {
+    t: +timestamp.toFixed(2),
+    w: width,
+    h: height,
+    face: face ? packLandmarks(face) : null,
+    hands: hands?.length ? hands.map(packLandmarks) : null,
+  };
+  if (faces?.length > 1) packed.fs = faces.map(packLandmarks);
+  if (handedness?.length) packed.hd = handedness;
+  if (wafer) packed.wafer = wafer; // wafer recognition result, so replay passes the same gate
+  return packed;
+}
+
+function unpackFrame(obj) {
+  return {
+    timestamp: obj.t,
+    width: obj.w,
+    height: obj.h,
+    face: obj.face ? unpackLandmarks(obj.face) : null,
+    faces: obj.fs ? obj.fs.map(unpackLandmarks) : null,
+    hands: obj.hands ? obj.hands.map(unpackLandmarks) : null,
+    handedness: obj.hd || null,
+    wafer: obj.wafer || null,
+  };
+}
+
+// Parse a .jsonl recording → { header, frames }
+function parseRecording(text) {
+  let header = null;
+  const frames = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Recording line ${i + 1}: invalid JSON (${e.message})`);
+    }
+    if (obj.type === "header") header = obj;
+    else frames.push(unpackFrame(obj));
+  }
+  if (header && header.version > RECORDING_VERSION) {
+    console.warn(`[recording] version ${header.version} is newer than supported ${RECORDING_VERSION}`);
+  }
+  return { header, frames };
+}
+
+// Offline replay (Node or browser): run frames through a detector, collect states + events
+function replayRecording(frames, detector, eventTypes = detector.constructor.EVENT_TYPES) {
+  const events = [];
+  const offs = eventTypes.map(type => detector.on(type, (detail) => events.push({ type, ...detail })));
+  const states = frames.map(f => detector.update(f));
+  if (frames.length) detector.finish(frames[frames.length - 1].timestamp);
+  offs.forEach(off => off());
+  return { states, events };
+}
+
+class LandmarkRecorder {
+  constructor() {
+    this.lines = [];
+    this.recording = false;
+  }
+
+  start(meta = {}) {
+    this.lines = [JSON.stringify({
+      type: "header",
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      ...meta,
+    })];
+    this.recording = true;
+  }
+
+  stop() { this.recording = false; }
+
+  get frameCount() { return Math.max(0, this.lines.length - 1); }
+
+  capture(frame) {
+    if (!this.recording) return;
+    this.lines.push(JSON.stringify(packFrame(frame)));
+  }
+
+  toJSONL() { return this.lines.join("\n") + "\n"; }
+
+  download(filename = `landmarks-${Date.now()}.jsonl`) {
+    downloadBlob(filename, this.toJSONL(), "application/x-ndjson");
+  }
+}
+
+// Real-time paced playback (browser): calls onFrame(frame) at the recorded rate
+class LandmarkReplayer {
+  constructor(frames, { onFrame, onEnd, speed = 1 } = {}) {
+    this.frames = frames;
+    this.onFrame = onFrame;
+    this.onEnd = onEnd;
+    this.speed = speed;
+    this.index = 0;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (!this.frames.length) { this.onEnd?.(); return; }
+    this.isRunning = true;
+    this.index = 0;
+    const t0 = this.frames[0].timestamp;
+    const wall0 = performance.now();
+
+    const tick = () => {
+      if (!this.isRunning) return;
+      const elapsed = (performance.now() - wall0) * this.speed;
+      // Feed every frame that is due (never skip: gating depends on each frame)
+      while (this.index < this.frames.length && this.frames[this.index].timestamp - t0 <= elapsed) {
+        this.onFrame(this.frames[this.index++]);
+      }
+      if (this.index >= this.frames.length) {
+        this.isRunning = false;
+        this.onEnd?.();
+        return;
+      }
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  }
+
+  stop() { this.isRunning = false; }
+}
+
+// Node (tests / offline tools): require("./landmark-recorder.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { LandmarkRecorder, LandmarkReplayer, parseRecording, replayRecording, packFrame, unpackFrame };
+}
@@ -0,0 +1,95 @@
+// mouth-activity.js
+// Talking vs chewing from lip/jaw landmark features over a short window.
+// - Chewing: rhythmic, lips mostly closed, lateral (side-to-side) jaw motion
+// - Speech: irregular, lips open more often, mouth rounds/spreads (width varies),
+//   corners move quickly
+// - Rule-based scores (0..1) for each class; switching needs a margin (hysteresis)
+
+function clamp01(v) { return Math.max(0, Math.min(1, v)); }
+
+function meanStd(values) {
+  if (!values.length) return { mean: 0, std: 0 };
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+  return { mean, std };
+}
+
+class MouthActivityClassifier {
+  constructor({ windowMs = 3000, margin = 0.1 } = {}) {
+    this.windowMs = windowMs;
+    this.margin = margin;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];       // {ts, openness, roundness, mouthWidth, jawLateral, corners}
+    this.activity = "idle";  // "idle" | "chewing" | "talking"
+  }
+
+  // f: per-frame features in face-scale units (see measureMouthShape in eating-detector.js)
+  push(ts, f) {
+    this.samples.push({ ts, ...f });
+    const cutoff = ts - this.windowMs;
+    while (this.samples.length && this.samples[0].ts < cutoff) this.samples.shift();
+  }
+
+  // closedThr: openness below this counts as "lips closed"; rhythmConfidence from ChewRhythm
+  classify({ closedThr, rhythmConfidence = 0 }) {
+    const n = this.samples.length;
+    if (n < 5) return { activity: this.activity, chewScore: 0, speechScore: 0 };
+
+    const open = meanStd(this.samples.map(s => s.openness));
+    const width = meanStd(this.samples.map(s => s.mouthWidth));
+    const round = meanStd(this.samples.map(s => s.roundness));
+    const lateral = meanStd(this.samples.map(s => s.jawLateral));
+    const closedFraction = this.samples.filter(s => s.openness < closedThr).length / n;
+
+    // Mouth-corner speed (face units / s)
+    let travel = 0;
+    for (let i = 1; i < n; i++) {
+      const a = this.samples[i - 1].corners, b = this.samples[i].corners;
+      travel += Math.hypot(b[0] - a[0], b[1] - a[1]) + Math.hypot(b[2] - a[2], b[3] - a[3]);
+    }
+    const span = (this.samples[n - 1].ts - this.samples[0].ts) / 1000;
+    const cornerSpeed = span > 0 ? travel / 2 / span : 0;
+
+    const features = {
+      opennessStd: open.std,
+      widthCv: width.mean > 0 ? width.std / width.mean : 0,
+      roundnessStd: round.std,
+      lateralStd: lateral.std,
+      closedFraction,
+      cornerSpeed,
+      rhythmConfidence,
+    };
+
+    // Still mouth → nothing to classify
+    if (open.std < 0.01 && cornerSpeed < 0.05) {
+      this.activity = "idle";
+      return { activity: "idle", chewScore: 0, speechScore: 0, features };
+    }
+
+    const chewScore =
+      0.4 * rhythmConfidence +
+      0.3 * closedFraction +
+      0.3 * clamp01(features.lateralStd / 0.02);
+    const speechScore =
+      0.3 * (1 - rhythmConfidence) +
+      0.25 * clamp01(features.widthCv / 0.08) +
+      0.15 * clamp01(features.roundnessStd / 0.05) +
+      0.15 * (1 - closedFraction) +
+      0.15 * clamp01(cornerSpeed / 0.5);
+
+    // Hysteresis: only switch when the other class wins by `margin`
+    if (this.activity !== "talking" && speechScore > chewScore + this.margin) this.activity = "talking";
+    else if (this.activity !== "chewing" && chewScore > speechScore + this.margin) this.activity = "chewing";
+    else if (this.activity === "idle") this.activity = chewScore >= speechScore ? "chewing" : "talking";
+
+    return { activity: this.activity, chewScore, speechScore, features };
+  }
+}
+
+// Node (tests / offline tools): require("./mouth-activity.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MouthActivityClassifier };
+}
@@ -0,0 +1,127 @@
+// mouth-calibration.js
+// Per-user mouth calibration → open/close hysteresis thresholds for EatingDetector.
+// - Guided steps: mouth relaxed & closed → open wide → a few practice chews
+// - Each step collects openness (mouthGap / mouthWidth) samples from the live frames
+// - Thresholds come from the measured distributions, saved per user (localStorage)
+
+const CALIBRATION_STEPS = [
+  { id: "closed", prompt: "Relax, lips closed", durationMs: 3000 },
+  { id: "open",   prompt: "Open your mouth wide", durationMs: 2500 },
+  { id: "chew",   prompt: "Do a few practice chews", durationMs: 5000 },
+];
+const CALIBRATION_MIN_SAMPLES = 10; // per step
+const CALIBRATION_MIN_SPAN = 0.02;  // closed → chew-open separation needed (ratio)
+const CALIBRATION_STORAGE_PREFIX = "mouthCalibration:";
+
+function percentile(values, p) {
+  if (!values.length) return NaN;
+  const s = [...values].sort((a, b) => a - b);
+  const i = (s.length - 1) * p;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return s[lo] + (s[hi] - s[lo]) * (i - lo);
+}
+
+// samples: { closed: [...], open: [...], chew: [...] } → { OPEN_THR, CLOSE_THR, stats }
+function deriveMouthThresholds(samples) {
+  for (const step of CALIBRATION_STEPS) {
+    const n = samples[step.id]?.length || 0;
+    if (n < CALIBRATION_MIN_SAMPLES) {
+      throw new Error(`"${step.prompt}": only ${n} face samples (need ${CALIBRATION_MIN_SAMPLES})`);
+    }
+  }
+
+  const closedHi = percentile(samples.closed, 0.9); // naturally parted lips raise this
+  const openMid  = percentile(samples.open, 0.5);
+  const chewPeak = percentile(samples.chew, 0.9);   // how far this user opens while chewing
+
+  // Small chewers never reach "open wide", so the chew peak caps the usable range
+  const top = Math.min(openMid, chewPeak);
+  const span = top - closedHi;
+  if (span < CALIBRATION_MIN_SPAN) {
+    throw new Error(`Chews barely differ from closed mouth (span ${span.toFixed(3)}); chew more visibly and retry`);
+  }
+
+  const CLOSE_THR = closedHi + 0.25 * span;
+  const OPEN_THR  = closedHi + 0.6 * span;
+  return {
+    OPEN_THR: +OPEN_THR.toFixed(4),
+    CLOSE_THR: +CLOSE_THR.toFixed(4),
+    stats: {
+      closedP90: +closedHi.toFixed(4),
+      openP50: +openMid.toFixed(4),
+      chewP90: +chewPeak.toFixed(4),
+      samples: Object.fromEntries(CALIBRATION_STEPS.map(s => [s.id, samples[s.id].length])),
+    },
+  };
+}
+
+// Wizard driven by frame timestamps (works the same live, in replay and headless)
+class MouthCalibration {
+  constructor(steps = CALIBRATION_STEPS) {
+    this.steps = steps;
+    this.samples = Object.fromEntries(steps.map(s => [s.id, []]));
+    this.stepIndex = 0;
+    this.stepStartTs = null;
+    this.done = false;
+    this.result = null;
+    this.error = null;
+  }
+
+  get step() { return this.steps[this.stepIndex] || null; }
+
+  // openness: null when no face this frame (time still runs, sample skipped)
+  addSample(openness, ts) {
+    if (this.done) return this.progress(ts);
+    if (this.stepStartTs === null) this.stepStartTs = ts;
+    if (openness !== null && Number.isFinite(openness)) this.samples[this.step.id].push(openness);
+
+    if (ts - this.stepStartTs >= this.step.durationMs) {
+      this.stepIndex++;
+      this.stepStartTs = ts;
+      if (this.stepIndex >= this.steps.length) this._finish();
+    }
+    return this.progress(ts);
+  }
+
+  progress(ts) {
+    if (this.done) return { done: true, result: this.result, error: this.error };
+    const elapsed = this.stepStartTs === null ? 0 : ts - this.stepStartTs;
+    return {
+      done: false,
+      stepIndex: this.stepIndex,
+      stepCount: this.steps.length,
+      prompt: this.step.prompt,
+      fraction: Math.min(1, elapsed / this.step.durationMs),
+    };
+  }
+
+  _finish() {
+    this.done = true;
+    try {
+      this.result = deriveMouthThresholds(this.samples);
+    } catch (e) {
+      this.error = e.message;
+    }
+  }
+}
+
+// -------- Per-user persistence --------
+function saveMouthCalibration(userId, result) {
+  const record = { ...result, userId, savedAt: new Date().toISOString() };
+  localStorage.setItem(CALIBRATION_STORAGE_PREFIX + userId, JSON.stringify(record));
+  return record;
+}
+
+function loadMouthCalibration(userId) {
+  try {
+    const raw = localStorage.getItem(CALIBRATION_STORAGE_PREFIX + userId);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Node (tests / offline tools): require("./mouth-calibration.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MouthCalibration, deriveMouthThresholds, CALIBRATION_STEPS };
+}
@@ -0,0 +1,218 @@
+// offline-assets.js
+// Where the third-party runtime files (MediaPipe scripts / wasm / models, opencv.js) come from.
+// - Public CDNs by default; a local base path (air-gapped machines) from ?assets=vendor/
+//   (remembered in localStorage), else <html data-asset-base="vendor/">; ?assets=cdn switches
+//   back, an empty ?assets= forgets the remembered value. Local bases must be same-origin
+// - Local layout mirrors the packages: <base>/face_mesh/*, <base>/hands/*, <base>/tasks_vision/*,
+//   <base>/tasks_models/*, <base>/opencv/opencv.js (file names as in ASSET_FILES)
+// - loadAssetScript() adds a package script on demand (landmark-backends.js); a file that
+//   fails to load is reported by name (banner + onAssetError listeners) instead of failing silently
+// - checkAssets() probes every file a page needs, including the wasm / model files MediaPipe
+//   only fetches on the first frame (skipped when the service worker serves the page)
+// - registerOfflineCache(pkgs) installs service-worker.js, which precaches the app and the
+//   packages the page asked for (other asset files are cached once they are fetched) and
+//   reports files it could not precache
+
+const ASSET_CDN = {
+  face_mesh: "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
+  hands: "https://cdn.jsdelivr.net/npm/@mediapipe/hands/",
+  tasks_vision: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/",
+  tasks_models: "https://storage.googleapis.com/mediapipe-models/",
+  opencv: "https://docs.opencv.org/4.8.0/",
+};
+
+// Every file per package: the script itself + what it fetches later (locateFile)
+const ASSET_FILES = {
+  face_mesh: [
+    "face_mesh.js",
+    "face_mesh.binarypb",
+    "face_mesh_solution_packed_assets_loader.js",
+    "face_mesh_solution_packed_assets.data",
+    "face_mesh_solution_simd_wasm_bin.js",
+    "face_mesh_solution_simd_wasm_bin.wasm",
+    "face_mesh_solution_wasm_bin.js",
+    "face_mesh_solution_wasm_bin.wasm",
+  ],
+  hands: [
+    "hands.js",
+    "hands.binarypb",
+    "hand_landmark_full.tflite",
+    "hand_landmark_lite.tflite",
+    "hands_solution_packed_assets_loader.js",
+    "hands_solution_packed_assets.data",
+    "hands_solution_simd_wasm_bin.js",
+    "hands_solution_simd_wasm_bin.wasm",
+    "hands_solution_wasm_bin.js",
+    "hands_solution_wasm_bin.wasm",
+  ],
+  tasks_vision: [
+    "vision_bundle.mjs",
+    "wasm/vision_wasm_internal.js",
+    "wasm/vision_wasm_internal.wasm",
+    "wasm/vision_wasm_nosimd_internal.js",
+    "wasm/vision_wasm_nosimd_internal.wasm",
+  ],
+  tasks_models: [
+    "face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+    "hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+  ],
+  opencv: ["opencv.js"],
+};
+
+// The app itself (precached next to the assets so the pages open without a server round trip)
+const APP_FILES = [
+  "index.html", "index_1.html", "wafer-eval.html",
+  "offline-assets.js", "landmark-backends.js", "session-log.js", "emitter.js", "event-stream.js", "chew-rhythm.js", "mouth-activity.js", "eating-detector.js",
+  "participants.js", "eating-config.js", "mouth-calibration.js", "reference-library.js", "wafer-detection.js",
+  "wafer-worker.js", "landmark-recorder.js", "video-analysis.js", "wafer-eval.js", "script.js",
+  "eating-config.json", "wafer-refs.json", "wafer_ref_4.png", "wafer_ref_5.png",
+];
+
+const ASSET_BASE_KEY = "assets:base";
+
+// "vendor" → absolute same-origin base ending in "/"; "cdn", empty or foreign origins → null
+function normalizeAssetBase(value, origin = location.href) {
+  if (!value || value === "cdn") return null;
+  const url = new URL(value.endsWith("/") ? value : value + "/", origin);
+  if (url.origin !== new URL(origin).origin) {
+    console.warn(`[assets] ignoring asset base ${value}: not on this origin`);
+    return null;
+  }
+  return url.href;
+}
+
+// Configured local base, or null for the CDNs (the ?assets= value is remembered)
+function assetBase() {
+  const query = new URLSearchParams(location.search).get("assets");
+  const storage = typeof localStorage !== "undefined" ? localStorage : null;
+  if (query !== null && storage) {
+    if (query) storage.setItem(ASSET_BASE_KEY, query);
+    else storage.removeItem(ASSET_BASE_KEY);
+  }
+  const value = query || storage?.getItem(ASSET_BASE_KEY)
+    || (typeof document !== "undefined" ? document.documentElement.dataset.assetBase : null);
+  return normalizeAssetBase(value);
+}
+
+// base: local base from assetBase(), or null for the CDNs
+function assetUrl(pkg, file, base = assetBase()) {
+  if (!ASSET_CDN[pkg]) throw new Error(`unknown asset package "${pkg}"`);
+  return base ? `${base}${pkg}/${file}` : ASSET_CDN[pkg] + file;
+}
+
+// packages → [{path: "hands/hands.js", url}]
+function assetList(pkgs, base = assetBase()) {
+  return pkgs.flatMap(pkg => ASSET_FILES[pkg].map(file => ({ path: `${pkg}/${file}`, url: assetUrl(pkg, file, base) })));
+}
+
+// -------- Failure reporting --------
+const assetFailures = [];   // [{path, url, reason}]
+const assetErrorListeners = [];
+
+// fn({path, url, reason}); failures reported before subscribing are replayed
+function onAssetError(fn) {
+  assetErrorListeners.push(fn);
+  assetFailures.forEach(fn);
+}
+
+function assetFailed(path, url, reason) {
+  const failure = { path, url, reason };
+  assetFailures.push(failure);
+  console.error(`[assets] ${path} failed to load from ${url}: ${reason}`);
+  showAssetError(`${path} failed to load from ${url} (${reason})`);
+  for (const fn of assetErrorListeners) {
+    try { fn(failure); } catch (e) { console.error("[assets] listener:", e); }
+  }
+}
+
+// One red banner at the top of the page, one line per problem
+function showAssetError(message) {
+  if (typeof document === "undefined") return;
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", () => showAssetError(message), { once: true });
+    return;
+  }
+  let el = document.getElementById("assetStatus");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "assetStatus";
+    el.style.cssText = "background:#dc3545;color:#fff;padding:8px 12px;font:14px system-ui;white-space:pre-line";
+    document.body.prepend(el);
+  }
+  el.textContent = el.textContent ? `${el.textContent}\n${message}` : `Offline assets: ${message}`;
+}
+
+// -------- Loading / checks --------
+// <script> for a "pkg/file" path → Promise resolved once its globals exist (same path once)
+const assetScripts = {};
+function loadAssetScript(path) {
+  const slash = path.indexOf("/");
+  const url = assetUrl(path.slice(0, slash), path.slice(slash + 1));
+  return (assetScripts[path] ||= new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.dataset.asset = path;
+    script.onload = resolve;
+    script.onerror = () => {
+      assetFailed(path, url, "script error");
+      reject(new Error(`${path} failed to load`));
+    };
+    document.head.appendChild(script);
+  }));
+}
+
+// HEAD every file of `pkgs` → failures [{path, url, reason}] (also reported)
+async function checkAssets(pkgs) {
+  const failures = [];
+  await Promise.all(assetList(pkgs).map(async ({ path, url }) => {
+    let reason = null;
+    try {
+      // CDNs without CORS answer opaquely: reachable is all we can tell there
+      const crossOrigin = new URL(url, location.href).origin !== location.origin;
+      const res = await fetch(url, { method: "HEAD", mode: crossOrigin ? "no-cors" : "cors" });
+      if (!res.ok && res.type !== "opaque") reason = `HTTP ${res.status}`;
+    } catch (e) {
+      reason = e.message || "network error";
+    }
+    if (reason) {
+      failures.push({ path, url, reason });
+      assetFailed(path, url, reason);
+    }
+  }));
+  return failures;
+}
+
+// Installs service-worker.js for the current asset base and has it precache `pkgs` (the ones
+// this page uses) → registration, or null where service workers are unavailable (file://,
+// old browsers)
+async function registerOfflineCache(pkgs = [], url = "service-worker.js") {
+  if (typeof navigator === "undefined" || !navigator.serviceWorker) return null;
+  navigator.serviceWorker.addEventListener("message", ({ data }) => {
+    if (data?.type !== "precache-failed") return;
+    for (const { path, url } of data.files) assetFailed(path, url, "not precached");
+  });
+  try {
+    const registration = await navigator.serviceWorker.register(`${url}?assets=${encodeURIComponent(assetBase() || "cdn")}`);
+    if (pkgs.length) {
+      navigator.serviceWorker.ready.then(ready => ready.active?.postMessage({ type: "precache", packages: pkgs }));
+    }
+    return registration;
+  } catch (e) {
+    console.warn("[assets] service worker not registered:", e);
+    return null;
+  }
+}
+
+// Page startup: offline cache + a check of the packages the page needs → failures.
+// A page served by the service worker is not probed: the cache answers anyway, and files
+// missing from it are reported by the worker
+async function startOfflineAssets(pkgs) {
+  registerOfflineCache(pkgs);
+  if (typeof navigator !== "undefined" && navigator.serviceWorker?.controller) return [];
+  return checkAssets(pkgs);
+}
+
+// Node (tests / offline tools): require("./offline-assets.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ASSET_CDN, ASSET_FILES, APP_FILES, normalizeAssetBase, assetUrl, assetList, loadAssetScript };
+}
@@ -0,0 +1,189 @@
+// participants.js
+// Several people at one table: stable participant ids + one EatingDetector each.
+// - Faces keep their id between frames (lip-center distance in face scales); a missing face
+//   keeps it for PARTICIPANT_LOST_MS, then leaves and its episode is finished
+// - Each hand goes to the nearest face it plausibly belongs to (distance + palm/face size)
+// - Each detector only sees its own face and hands; its events are re-emitted with `participant`
+
+const PARTICIPANT_DEFAULTS = {
+  MAX_PARTICIPANTS: 4,        // faces tracked (FaceMesh maxNumFaces; Hands gets twice as many)
+  FACE_MATCH_MAX: 1.5,        // a face may move this far between frames (× face scale) and keep its id
+  PARTICIPANT_LOST_MS: 3000,  // face missing this long → participant leaves
+  HAND_ASSIGN_MAX_FACE: 4,    // hand tips farther than this from every mouth (× face scale) → nobody's
+  HAND_SCALE_MIN: 0.3,        // palm/face size ratio a hand of that person can have…
+  HAND_SCALE_MAX: 2.5,        // …(hands much bigger or smaller belong to someone nearer / farther)
+};
+
+// eating-detector.js: sibling <script> in the browser, module in Node
+function eatingDetectorModule() {
+  return typeof EatingDetector !== "undefined"
+    ? { EatingDetector, measureMouth, measureFaceScale }
+    : require("./eating-detector.js");
+}
+
+// Lip center (px) + face scale (px) of one face
+function faceAnchor(face, width, height) {
+  const m = eatingDetectorModule();
+  return {
+    lipCenter: m.measureMouth(face, width, height).lipCenter,
+    faceScale: m.measureFaceScale(face, width, height),
+  };
+}
+
+// Greedy one-to-one matching over [{a, b, cost}] (closest first, cost ≤ maxCost);
+// capacityB: how many a's one b may take → array over a of b index (-1 = none)
+function greedyAssign(pairs, countA, maxCost, capacityB = 1) {
+  const assigned = new Array(countA).fill(-1);
+  const used = {};
+  for (const { a, b, cost } of [...pairs].sort((x, y) => x.cost - y.cost)) {
+    if (cost > maxCost || assigned[a] >= 0 || (used[b] || 0) >= capacityB) continue;
+    assigned[a] = b;
+    used[b] = (used[b] || 0) + 1;
+  }
+  return assigned;
+}
+
+// anchors (this frame) → index of the matching track per anchor (-1 = new face)
+function matchFaces(tracks, anchors, maxDist) {
+  const pairs = [];
+  anchors.forEach((f, a) => tracks.forEach((t, b) => {
+    const d = Math.hypot(f.lipCenter.x - t.lipCenter.x, f.lipCenter.y - t.lipCenter.y);
+    pairs.push({ a, b, cost: d / Math.max(f.faceScale, t.faceScale) });
+  }));
+  return greedyAssign(pairs, anchors.length, maxDist);
+}
+
+// hands (normalized landmarks) → face index per hand (-1 = no plausible face)
+function assignHands(anchors, hands, width, height, opts = PARTICIPANT_DEFAULTS) {
+  const pairs = [];
+  hands.forEach((hand, a) => {
+    const tips = { x: (hand[4].x + hand[8].x) / 2 * width, y: (hand[4].y + hand[8].y) / 2 * height };
+    const palm = Math.hypot((hand[9].x - hand[0].x) * width, (hand[9].y - hand[0].y) * height);
+    anchors.forEach((f, b) => {
+      const scale = palm / f.faceScale;
+      if (scale < opts.HAND_SCALE_MIN || scale > opts.HAND_SCALE_MAX) return;
+      const d = Math.hypot(tips.x - f.lipCenter.x, tips.y - f.lipCenter.y);
+      pairs.push({ a, b, cost: d / f.faceScale });
+    });
+  });
+  return greedyAssign(pairs, hands.length, opts.HAND_ASSIGN_MAX_FACE, 2);
+}
+
+// Events (on / off from emitter.js – sibling <script> in the browser, module in Node):
+// EatingDetector.EVENT_TYPES (detail + participant) and "join" / "leave"
+class ParticipantMonitor extends (typeof Emitter !== "undefined" ? Emitter : require("./emitter.js").Emitter) {
+  // detectorOptions: EatingDetector tunables for every participant (see configure)
+  // createDetector(options, id) → EatingDetector (default: new EatingDetector(options))
+  // PARTICIPANT_DEFAULTS keys override the tunables above
+  constructor({ detectorOptions = {}, createDetector = null, ...options } = {}) {
+    super();
+    for (const k of Object.keys(PARTICIPANT_DEFAULTS)) {
+      this[k] = (k in options) ? options[k] : PARTICIPANT_DEFAULTS[k];
+    }
+    this.detectorOptions = { ...detectorOptions };
+    this.createDetector = createDetector || ((opts) => new (eatingDetectorModule().EatingDetector)(opts));
+    this.reset();
+  }
+
+  // -------- State --------
+  reset() {
+    this.participants = new Map(); // id → {id, detector, lipCenter, faceScale, lastSeenTs, state}
+    this.nextId = 1;
+  }
+
+  // -------- Tunables --------
+  // PARTICIPANT_DEFAULTS keys apply here, everything else goes to every participant's detector
+  configure(options = {}) {
+    const forward = {};
+    for (const [k, v] of Object.entries(options)) {
+      if (k in PARTICIPANT_DEFAULTS) this[k] = v;
+      else forward[k] = v;
+    }
+    Object.assign(this.detectorOptions, forward);
+    for (const p of this.participants.values()) p.detector.configure(forward);
+  }
+
+  // Mouth thresholds for everyone (per-user calibration, see mouth-calibration.js)
+  setMouthThresholds(thresholds) {
+    for (const p of this.participants.values()) p.detector.setMouthThresholds(thresholds);
+    this.detectorOptions.OPEN_THR = thresholds.OPEN_THR;
+    this.detectorOptions.CLOSE_THR = thresholds.CLOSE_THR;
+  }
+
+  // Detector tunables a new participant starts with (→ options for another detector / exports)
+  getConfig() {
+    const { DEFAULTS } = eatingDetectorModule().EatingDetector;
+    return Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, k in this.detectorOptions ? this.detectorOptions[k] : DEFAULTS[k]]));
+  }
+
+  // -------- Per-frame update --------
+  // frame: EatingDetector frame + faces (all FaceMesh faces; face alone = one participant);
+  //   wafer entries with a `participant` only count for that participant
+  // → [{id, visible, frame (the participant's own frame), state, lipCenter, faceScale}]
+  update(frame) {
+    const { faces = null, face = null, hands = null, handedness = null, width, height, timestamp: ts, wafer = null } = frame;
+    const faceList = (faces || (face ? [face] : [])).slice(0, this.MAX_PARTICIPANTS);
+    const anchors = faceList.map(f => faceAnchor(f, width, height));
+
+    const tracks = [...this.participants.values()];
+    const matched = matchFaces(tracks, anchors, this.FACE_MATCH_MAX);
+    const owners = anchors.map((anchor, i) => {
+      const p = matched[i] >= 0 ? tracks[matched[i]] : this._join(ts);
+      return Object.assign(p, anchor, { lastSeenTs: ts });
+    });
+    const handOwner = assignHands(anchors, hands || [], width, height, this);
+
+    const result = [];
+    for (const p of [...this.participants.values()]) {
+      const i = owners.indexOf(p);
+      const mine = i < 0 ? [] : handOwner.flatMap((owner, j) => (owner === i ? [j] : []));
+      const own = {
+        face: i < 0 ? null : faceList[i],
+        hands: mine.length ? mine.map(j => hands[j]) : null,
+        handedness: handedness && mine.length ? mine.map(j => handedness[j]) : null,
+        width,
+        height,
+        timestamp: ts,
+        wafer: [].concat(wafer || []).filter(w => !w.participant || w.participant === p.id),
+      };
+      p.state = p.detector.update(own);
+
+      if (i < 0 && ts - p.lastSeenTs >= this.PARTICIPANT_LOST_MS) {
+        this._leave(p, ts);
+        continue;
+      }
+      result.push({ id: p.id, visible: i >= 0, frame: own, state: p.state, lipCenter: p.lipCenter, faceScale: p.faceScale });
+    }
+    return result;
+  }
+
+  _join(ts) {
+    const id = `P${this.nextId++}`;
+    const detector = this.createDetector(this.detectorOptions, id);
+    for (const type of detector.constructor.EVENT_TYPES) {
+      detector.on(type, (detail) => this._emit(type, { participant: id, ...detail }));
+    }
+    const p = { id, detector, lipCenter: null, faceScale: null, lastSeenTs: ts, state: null };
+    this.participants.set(id, p);
+    this._emit("join", { ts, participant: id });
+    return p;
+  }
+
+  _leave(p, ts) {
+    const summary = p.detector.finish(ts);
+    this.participants.delete(p.id);
+    this._emit("leave", { ts, participant: p.id, episodes: p.detector.episodes.length, lastEpisode: summary?.episodeId ?? null });
+  }
+
+  // End every open bite/episode → [{id, summary}] (summary: last episode or null)
+  finish(ts) {
+    return [...this.participants.values()].map(p => ({ id: p.id, summary: p.detector.finish(ts) }));
+  }
+}
+
+ParticipantMonitor.EVENT_TYPES = [...eatingDetectorModule().EatingDetector.EVENT_TYPES, "join", "leave"];
+
+// Node (tests / offline tools): require("./participants.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ParticipantMonitor, PARTICIPANT_DEFAULTS, faceAnchor, matchFaces, assignHands, greedyAssign };
+}
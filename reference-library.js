@@ -0,0 +1,171 @@
+// reference-library.js
+// Persistent wafer reference library (IndexedDB).
+// - One record per reference: name, class label, negative + enabled flags, source image (data URL) + size,
+//   cached ORB keypoints/descriptors and template (see WaferDetector.serializeRef)
+// - List / rename / relabel / mark negative / delete / enable-disable
+// - Export / import the whole library as one JSON file (binary fields as base64)
+
+const REFERENCE_DB_NAME = "wafer-references";
+const REFERENCE_DB_VERSION = 1;
+const REFERENCE_STORE = "references";
+const REFERENCE_EXPORT_TYPE = "wafer-reference-library";
+const REFERENCE_EXPORT_VERSION = 1;
+
+function bytesToBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+}
+
+function base64ToBytes(b64) {
+  const s = atob(b64);
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+// Typed arrays → {$u8|$f32: base64} so a record survives JSON
+function encodeRecord(value) {
+  if (value instanceof Uint8Array) return { $u8: bytesToBase64(value) };
+  if (value instanceof Float32Array) return { $f32: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  if (Array.isArray(value)) return value.map(encodeRecord);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeRecord(v)]));
+  }
+  return value;
+}
+
+function decodeRecord(value) {
+  if (Array.isArray(value)) return value.map(decodeRecord);
+  if (value && typeof value === "object") {
+    if (typeof value.$u8 === "string") return base64ToBytes(value.$u8);
+    if (typeof value.$f32 === "string") return new Float32Array(base64ToBytes(value.$f32).buffer);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeRecord(v)]));
+  }
+  return value;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+class ReferenceLibrary {
+  constructor({ dbName = REFERENCE_DB_NAME } = {}) {
+    this.dbName = dbName;
+    this._db = null; // Promise<IDBDatabase>
+  }
+
+  open() {
+    this._db ||= new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.dbName, REFERENCE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(REFERENCE_STORE, { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this._db;
+  }
+
+  async _store(mode) {
+    const db = await this.open();
+    return db.transaction(REFERENCE_STORE, mode).objectStore(REFERENCE_STORE);
+  }
+
+  // All records in insertion order
+  async list() {
+    return idbRequest((await this._store("readonly")).getAll());
+  }
+
+  async get(id) {
+    return idbRequest((await this._store("readonly")).get(id));
+  }
+
+  // record: { name, label, negative, width, height, image, features } → new id
+  async add({ id, ...record }) {
+    const now = new Date().toISOString();
+    return idbRequest((await this._store("readwrite")).add({ enabled: true, ...record, addedAt: now, updatedAt: now }));
+  }
+
+  async update(id, changes) {
+    const store = await this._store("readwrite");
+    const record = await idbRequest(store.get(id));
+    if (!record) throw new Error(`Reference #${id} not found`);
+    const next = { ...record, ...changes, id, updatedAt: new Date().toISOString() };
+    await idbRequest(store.put(next));
+    return next;
+  }
+
+  rename(id, name) {
+    name = String(name || "").trim();
+    if (!name) return Promise.reject(new Error("Reference name cannot be empty"));
+    return this.update(id, { name });
+  }
+
+  // Class label (product) the reference belongs to
+  setLabel(id, label) {
+    label = String(label || "").trim();
+    if (!label) return Promise.reject(new Error("Class label cannot be empty"));
+    return this.update(id, { label });
+  }
+
+  // Hard negative (look-alike that must not pass) vs positive reference
+  setNegative(id, negative) {
+    return this.update(id, { negative: !!negative });
+  }
+
+  setEnabled(id, enabled) {
+    return this.update(id, { enabled: !!enabled });
+  }
+
+  async remove(id) {
+    await idbRequest((await this._store("readwrite")).delete(id));
+  }
+
+  async clear() {
+    await idbRequest((await this._store("readwrite")).clear());
+  }
+
+  // -------- Export / import --------
+  async exportJSON() {
+    return JSON.stringify({
+      type: REFERENCE_EXPORT_TYPE,
+      version: REFERENCE_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      references: (await this.list()).map(encodeRecord),
+    });
+  }
+
+  // replace: drop the current library first; otherwise imported references are appended → count
+  async importJSON(text, { replace = false } = {}) {
+    const data = JSON.parse(text);
+    if (data?.type !== REFERENCE_EXPORT_TYPE || !Array.isArray(data.references)) {
+      throw new Error("Not a wafer reference library file");
+    }
+    if (data.version > REFERENCE_EXPORT_VERSION) {
+      throw new Error(`Library version ${data.version} is newer than supported ${REFERENCE_EXPORT_VERSION}`);
+    }
+    const records = data.references.map(decodeRecord);
+    for (const r of records) {
+      if (!r.name || typeof r.image !== "string") throw new Error("Library entry without name or image");
+    }
+
+    if (replace) await this.clear();
+    for (const { addedAt, updatedAt, ...r } of records) await this.add(r);
+    return records.length;
+  }
+
+  async download(filename = "wafer-references.json") {
+    downloadBlob(filename, await this.exportJSON(), "application/json");
+  }
+}
+
+// Node (tests / offline tools): require("./reference-library.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ReferenceLibrary, encodeRecord, decodeRecord, bytesToBase64, base64ToBytes };
+}
@@ -1,215 +1,731 @@
-// Lip landmark indices (468-point Face Mesh)
-const LIP_INDICES = [
-  // inner upper
-  78, 191, 80, 81, 82, 13, 312, 311, 310,
-  // inner lower
-  178, 88, 95, 402, 318, 324, 308
-];
-
 // DOM elements
 const video = document.getElementById('video');
 const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d');
 
-// State to merge results from both models
-let latestFace = null;
-let latestHands = null;
+// Session event log (session-log.js), exported from the page buttons
+const sessionLog = new SessionLog({ page: "eating" });
 
-// Helper functions
-function getLipPoints(landmarks, w, h) {
-  return LIP_INDICES.map(i => ({
-    x: Math.round(landmarks[i].x * w),
-    y: Math.round(landmarks[i].y * h)
-  }));
-}
+// Active page config (eating-config.js): defaults until eating-config.json / ?query load
+let activeConfig = eatingConfigDefaults();
+sessionLog.meta.config = activeConfig;
 
-function euclideanDistance(p1, p2) {
-  const dx = p2.x - p1.x, dy = p2.y - p1.y;
-  return Math.hypot(dx, dy);
+// Eating state machines (chew hysteresis + wafer-to-mouth gate, see eating-detector.js), one per
+// participant at the table: participants.js keeps face ids stable and hands with their face
+const eatingMonitor = new ParticipantMonitor({ ...activeConfig, detectorOptions: activeConfig });
+eatingMonitor.on("join", (e) => console.log(`${e.participant} joined`));
+eatingMonitor.on("leave", (e) => console.log(`${e.participant} left (${e.episodes} episodes)`));
+eatingMonitor.on("holdstart", (e) => console.log(`${e.participant}: hold started (tips near lips)`));
+eatingMonitor.on("holdreset", (e) => console.log(`${e.participant}: ` + (e.reason === "lost" ? "hold reset (lost hand/face)" : "hold reset")));
+eatingMonitor.on("bitestart", (e) => console.log(`${e.participant}: WAFFER TAKEN TO MOUTH ✔  bite #${e.biteId}, ${e.hand} hand (chew counting active)`));
+eatingMonitor.on("biteend", (e) => console.log(`${e.participant}: bite #${e.biteId} ended (${e.reason}): ${e.chews} chews in ${(e.durationMs/1000).toFixed(1)} s`));
+eatingMonitor.on("episodeend", (e) => console.log(`${e.participant}: episode #${e.episodeId}: ${e.biteCount} bites, chews/bite ${e.chewsPerBite.join(",")}`));
+eatingMonitor.on("activity", (e) => console.log(`${e.participant}: mouth activity ${e.previous} → ${e.activity}`));
+eatingMonitor.on("eating", (e) => console.log(`${e.participant}: EATING ✔  ${e.chewsPerMinute.toFixed(0)} chews/min`));
+for (const type of ParticipantMonitor.EVENT_TYPES) {
+  // Per-bite details are already logged by "biteend"
+  eatingMonitor.on(type, ({ ts, bites, ...m }) => sessionLog.add(type, { frameTs: +ts.toFixed(1), ...m }));
 }
 
-function getCenterPoint(points) {
-  let sx = 0, sy = 0;
-  for (const p of points) { sx += p.x; sy += p.y; }
-  return { x: sx / points.length, y: sy / points.length };
-}
+// Live output (event-stream.js): eating events + wafer checks to ?stream=ws://… / the stream
+// field, and to the embedding page via postMessage when running in an iframe
+const eventStream = new EventStream({ sessionLog, ...eventStreamOptions() });
+eventStream.on("state", setStreamUi);
+eventStream.on("error", ({ error, retryMs }) => console.warn(`[stream] ${error.message}, retry in ${retryMs} ms`));
+streamEatingEvents(eventStream, eatingMonitor);
+
+// Per-user mouth calibration (mouth-calibration.js)
+const LAST_USER_KEY = "eating:lastUserId";
+let currentUserId = null;
+let calibration = null; // MouthCalibration while the wizard runs
+
+// Wafer-in-hand confirmation: WaferDetector (wafer-detection.js) on a crop around the hand
+// (checked once the index tip is within WAFER_APPROACH_FACE face scales of the lips,
+// at most every WAFER_CHECK_MS per hand – one OpenCV pass per check)
+// References: the enabled set of the shared library (reference-library.js), else the default files.
+// OpenCV runs in wafer-worker.js, so checks finish a frame or two later (see pendingWafer)
+const waferDetector = new WaferDetector({ library: new ReferenceLibrary(), worker: true });
+waferDetector.ready.then(async () => {
+  try {
+    const n = await waferDetector.loadLibraryReferences().catch((e) => {
+      console.warn("[wafer] library references:", e);
+      return 0;
+    });
+    if (!n) await waferDetector.loadReferenceImages();
+  } catch (e) {
+    console.warn("[wafer] references:", e);
+    sessionLog.add("wafer-error", { stage: "refs", reason: e.message });
+  }
+}, () => {}); // OpenCV / worker never came up: already reported by the "error" listener below
+waferDetector.on("refs", ({ refs, requested }) => sessionLog.add("wafer-refs", { loaded: refs.length, requested }));
+waferDetector.on("error", ({ stage, error }) => {
+  console.warn(`[wafer] ${stage}:`, error);
+  if (stage === "opencv" || stage === "worker" || stage === "init") {
+    showAssetError(`wafer check unavailable: ${error.message}`);
+    sessionLog.add("asset-error", { path: "opencv/opencv.js", url: waferDetector.opencvUrl, reason: error.message });
+  }
+});
+const waferChecks = {};          // per participant id, last check per hand label: {ts, rect, present, product, rejected, box}
+let pendingWafer = [];           // live recognitions not yet handed to the detector (next frame.wafer)
+
+// Landmark recording / replay (landmark-recorder.js)
+const recorder = new LandmarkRecorder();
+let replayer = null; // LandmarkReplayer while a recording is being replayed
 
-// Chew detection config/state
-const EAT_WINDOW_MS = 8000; // 8s window
-const CHEW_TARGET = 2;      // need >=2 chews in window
-const OPEN_THR = 0.08;      // mouth open threshold (ratio)
-const CLOSE_THR = 0.04;     // mouth close threshold (ratio; lower than OPEN_THR)
+// Offline video-file analysis (video-analysis.js)
+let analyzer = null;     // VideoFileAnalyzer while a file is being analyzed
+let lastAnalysis = null; // finished analyzer (timeline export)
 
-let mouthState = "closed";   // "open" | "closed"
-let chewEvents = [];         // timestamps (ms) of each close event
-let eatingDetected = false;
+// Runtime assets (offline-assets.js): CDN or the configured local base, precached by the
+// service worker; every missing file is named in a banner and in the session log
+onAssetError(({ path, url, reason }) => sessionLog.add("asset-error", { path, url, reason }));
 
-function pushChewEvent(ts) {
-  chewEvents.push(ts);
-  const cutoff = ts - EAT_WINDOW_MS;
-  while (chewEvents.length && chewEvents[0] < cutoff) chewEvents.shift();
-  const wasEating = eatingDetected;
-  eatingDetected = chewEvents.length >= CHEW_TARGET;
-  if (!wasEating && eatingDetected) console.log("EATING ✔");
+// Landmark backend (landmark-backends.js): MediaPipe Solutions FaceMesh + Hands by default,
+// ?backend=tasks for the Tasks landmarkers, ?backend=mock&scenario=… for scripted landmarks
+// without a camera. An unknown ?backend= / ?scenario= is reported and falls back to legacy
+function chooseLandmarkBackend() {
+  try {
+    const { name, options } = landmarkBackendOptions();
+    return createLandmarkBackend(name, activeConfig, options);
+  } catch (e) {
+    console.error("landmark backend err:", e);
+    showAssetError(`${e.message}; using the legacy backend`);
+    sessionLog.add("backend-error", { stage: "select", query: location.search, reason: e.message });
+    return createLandmarkBackend("legacy", activeConfig);
+  }
 }
+const landmarks = chooseLandmarkBackend();
+sessionLog.meta.landmarkBackend = landmarks.name;
+startOfflineAssets([...landmarks.assetPackages, "opencv"]);
 
-// Wafer-to-mouth gating (both tips in 10–40 px band for hold time)
-const CONTACT_REQUIRED_MS = 100; // hold time (ms)
-const TOUCH_MIN_PX = 1;          // inner radius of acceptable band
-const TOUCH_MAX_PX = 40;          // outer radius of acceptable band
-let waferTaken = false;           // becomes true after hold completes
-let contactStartTs = null;        // when both tips first within band
-let lastHoldMs = 0;               // progress
-let holdingPrev = false;          // for transition logs
+// Labels only (no drawing of points/lines); state: the headline participant (null = nobody),
+// id: its label (null = no label, e.g. the single detector of a video-file analysis)
+function drawOverlay(state, id = null) {
+  const { CONTACT_REQUIRED_MS, EAT_WINDOW_MS } = eatingMonitor.getConfig();
 
-// FaceMesh setup
-const faceMesh = new FaceMesh({
-  locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`,
-});
-faceMesh.setOptions({
-  maxNumFaces: 1,
-  refineLandmarks: true,
-  minDetectionConfidence: 0.5,
-  minTrackingConfidence: 0.5,
-});
-faceMesh.onResults((results) => { latestFace = results; });
+  // Face/Hand presence labels
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "14px system-ui";
+  if (!state) {
+    ctx.fillText("Face: –  (no participant in view)", 10, 20);
+    return;
+  }
+  const handList = state.hands.map(h => h.hand).join(" + ");
+  ctx.fillText(`${id ? id + "  " : ""}Face: ${state.faceOk ? "✓" : "–"}  Hand: ${state.handOk ? "✓" : "–"} ${handList}`, 10, 20);
 
-// Hands setup (SINGLE HAND)
-const hands = new Hands({
-  locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
-});
-hands.setOptions({
-  maxNumHands: 1,
-  minDetectionConfidence: 0.5,
-  minTrackingConfidence: 0.5,
-  modelComplexity: 1,
-});
-hands.onResults((results) => { latestHands = results; });
-
-// Camera loop
-const cam = new Camera(video, {
-  onFrame: async () => {
-    // Ensure canvas matches current video frame
-    if (video.videoWidth && video.videoHeight) {
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
+  // Labels for distances and hold progress
+  if (state.indexDistance !== null) {
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "14px system-ui";
+    ctx.fillText(`[${state.hand}] Index distance: ${state.indexDistance.toFixed(1)} px (${state.indexRatio.toFixed(2)} face)`, 10, canvas.height - 60);
+    ctx.fillText(`[${state.hand}] Thumb distance: ${state.thumbDistance.toFixed(1)} px (${state.thumbRatio.toFixed(2)} face)`, 10, canvas.height - 40);
+    if (!state.depthOk) {
+      ctx.fillStyle = "#ff8a8a";
+      ctx.fillText(`Hand in front of face (size ×${state.handScaleRatio.toFixed(2)}, tip depth ${state.tipDepth.toFixed(2)})`, 10, canvas.height - 120);
     }
 
-    // Send frame to both models
-    await faceMesh.send({ image: video });
-    await hands.send({ image: video });
-
-    // Draw base video frame (labels only on top)
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    if (state.waferPending) {
+      ctx.fillStyle = "#ffd24d";
+      ctx.font = "bold 16px system-ui";
+      ctx.fillText("Near lips – wafer not recognized in hand", 10, 40);
+    } else if (!state.waferTaken && state.holding) {
+      const secs = Math.min(CONTACT_REQUIRED_MS, state.holdMs) / 1000;
+      ctx.fillStyle = "#ffd24d";
+      ctx.font = "bold 16px system-ui";
+      ctx.fillText(`Hold near lips: ${secs.toFixed(1)} / ${(CONTACT_REQUIRED_MS/1000).toFixed(1)} s`, 10, 40);
+    }
+  }
 
-    // Face/Hand presence labels
-    const faceOk = !!latestFace?.multiFaceLandmarks?.length;
-    const handOk = !!latestHands?.multiHandLandmarks?.length;
+  // Status labels
+  if (state.waferTaken) {
+    ctx.fillStyle = "#7cff8e";
+    ctx.font = "bold 16px system-ui";
+    ctx.fillText(`WAFFER TAKEN TO MOUTH ✔ bite #${state.biteId} (${state.biteHand} hand): ${state.biteChews} chews`, 10, 40);
+  }
+  if (state.episodeId !== null) {
     ctx.fillStyle = "#ffffff";
     ctx.font = "14px system-ui";
-    ctx.fillText(`Face: ${faceOk ? "✓" : "–"}  Hand: ${handOk ? "✓" : "–"}`, 10, 20);
-
-    // LIPS: compute lip center & openness (no drawing of points/lines)
-    let lipCenter = null;
-    let openness = 0;
-    if (faceOk) {
-      const lm = latestFace.multiFaceLandmarks[0];
-      const lips = getLipPoints(lm, canvas.width, canvas.height);
-      lipCenter = getCenterPoint(lips);
-
-      // Chew detection (open/close cycles)
-      const pUpper = { x: lm[13].x * canvas.width,  y: lm[13].y * canvas.height };
-      const pLower = { x: lm[14].x * canvas.width,  y: lm[14].y * canvas.height };
-      const pLeft  = { x: lm[61].x * canvas.width,  y: lm[61].y * canvas.height };
-      const pRight = { x: lm[291].x * canvas.width, y: lm[291].y * canvas.height };
-
-      const mouthWidth = Math.max(1, euclideanDistance(pLeft, pRight));
-      const mouthGap   = euclideanDistance(pUpper, pLower);
-      openness         = mouthGap / mouthWidth;
-
-      const ts = performance.now();
-      if (mouthState === "closed" && openness > OPEN_THR) {
-        mouthState = "open";
-      } else if (mouthState === "open" && openness < CLOSE_THR) {
-        mouthState = "closed";
-        if (waferTaken) pushChewEvent(ts);
-      }
+    ctx.fillText(`Episode #${state.episodeId}: ${state.episodeBites} bites`, 10, 60);
+  }
+  if (state.lipCenter) {
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "14px system-ui";
+    ctx.fillText(`Chews (last ${EAT_WINDOW_MS/1000}s): ${state.chewCount}`, 10, canvas.height - 20);
+    ctx.fillText(`Mouth openness: ${state.openness.toFixed(3)}`, 10, canvas.height - 80);
+    ctx.fillStyle = state.rhythmic ? "#7cff8e" : "#ffffff";
+    ctx.fillText(`Chew rate: ${state.chewsPerMinute.toFixed(0)}/min (conf ${state.chewConfidence.toFixed(2)})`, 170, canvas.height - 20);
+    ctx.fillStyle = state.mouthActivity === "talking" ? "#ff8a8a" : "#ffffff";
+    ctx.fillText(`Mouth: ${state.mouthActivity}` +
+      (state.suppressedChews ? ` (${state.suppressedChews} closes ignored while talking)` : ""), 170, canvas.height - 80);
+    if (state.eating) {
+      ctx.fillStyle = "#00ffa6";
+      ctx.font = "bold 18px system-ui";
+      ctx.fillText("EATING ✔", 10, canvas.height - 100);
     }
+  }
+}
 
-    // HAND (single): gating via band check (labels only)
-    let indexDistance = null, thumbDistance = null;
-    if (handOk && lipCenter) {
-      const handLm = latestHands.multiHandLandmarks[0];
-      const indexTip = { x: handLm[8].x * canvas.width, y: handLm[8].y * canvas.height };
-      const thumbTip = { x: handLm[4].x * canvas.width, y: handLm[4].y * canvas.height };
-
-      indexDistance = euclideanDistance(lipCenter, indexTip);
-      thumbDistance = euclideanDistance(lipCenter, thumbTip);
-
-      const indexInRange = (indexDistance >= TOUCH_MIN_PX && indexDistance <= TOUCH_MAX_PX);
-      const thumbInRange = (thumbDistance >= TOUCH_MIN_PX && thumbDistance <= TOUCH_MAX_PX);
-      const holding = indexInRange && thumbInRange;
-
-      const now = performance.now();
-      if (!waferTaken) {
-        if (holding) {
-          if (!holdingPrev) console.log("Hold started (tips near lips)");
-          holdingPrev = true;
-          if (contactStartTs == null) contactStartTs = now;
-          lastHoldMs = now - contactStartTs;
-          if (lastHoldMs >= CONTACT_REQUIRED_MS) {
-            waferTaken = true;
-            console.log("WAFFER TAKEN TO MOUTH ✔  (chew counting active)");
-          }
-        } else {
-          if (holdingPrev) console.log("Hold reset");
-          holdingPrev = false;
-          contactStartTs = null;
-          lastHoldMs = 0;
-        }
-      }
-
-      // Labels for distances and hold progress
-      ctx.fillStyle = "#ffffff";
-      ctx.font = "14px system-ui";
-      ctx.fillText(`Index distance: ${indexDistance.toFixed(1)} px`, 10, canvas.height - 60);
-      ctx.fillText(`Thumb distance: ${thumbDistance.toFixed(1)} px`, 10, canvas.height - 40);
-
-      if (!waferTaken && holding) {
-        const secs = Math.min(CONTACT_REQUIRED_MS, lastHoldMs) / 1000;
-        ctx.fillStyle = "#ffd24d";
-        ctx.font = "bold 16px system-ui";
-        ctx.fillText(`Hold near lips: ${secs.toFixed(1)} / ${(CONTACT_REQUIRED_MS/1000).toFixed(1)} s`, 10, 40);
-      }
-    } else {
-      // If no hand or no lips, reset contact timer (but keep waferTaken once true)
-      if (contactStartTs !== null) console.log("Hold reset (lost hand/face)");
-      contactStartTs = null;
-      lastHoldMs = 0;
-      holdingPrev = false;
+// The participant the full overlay is about: one in a bite, else one holding, else the first in view
+function headlineParticipant(people) {
+  const visible = people.filter(p => p.visible);
+  return visible.find(p => p.state.waferTaken) || visible.find(p => p.state.holding) || visible[0] || null;
+}
+
+const PARTICIPANT_COLORS = ["#4dd2ff", "#ffb84d", "#c58aff", "#7cff8e", "#ff7ab8", "#fff27a"];
+
+// Id + short status above every face in view
+function drawParticipants(people) {
+  for (const p of people) {
+    if (!p.visible || !p.lipCenter) continue;
+    const s = p.state;
+    const status = s.eating ? "EATING" : s.waferTaken ? `bite #${s.biteId}: ${s.biteChews} chews`
+      : s.waferPending ? "wafer?" : s.holding ? "holding" : s.mouthActivity;
+    const x = p.lipCenter.x - p.faceScale;
+    const y = Math.max(14, p.lipCenter.y - p.faceScale * 1.8);
+    ctx.fillStyle = PARTICIPANT_COLORS[(parseInt(p.id.slice(1), 10) - 1) % PARTICIPANT_COLORS.length];
+    ctx.font = "bold 14px system-ui";
+    ctx.fillText(`${p.id} · ${status}`, x, y);
+  }
+}
+
+function drawCalibration(p) {
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.fillRect(0, 0, canvas.width, 70);
+  ctx.fillStyle = "#ffd24d";
+  ctx.font = "bold 18px system-ui";
+  ctx.fillText(`Calibration ${p.stepIndex + 1}/${p.stepCount}: ${p.prompt}`, 10, 28);
+  ctx.fillStyle = "#33447a";
+  ctx.fillRect(10, 44, canvas.width - 20, 10);
+  ctx.fillStyle = "#ffd24d";
+  ctx.fillRect(10, 44, (canvas.width - 20) * p.fraction, 10);
+}
+
+// Hand bounding box padded by 50% and widened to 4:3 (WaferDetector PROC aspect), in px
+function handCropRect(hand, w, h) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const p of hand) {
+    x0 = Math.min(x0, p.x * w); x1 = Math.max(x1, p.x * w);
+    y0 = Math.min(y0, p.y * h); y1 = Math.max(y1, p.y * h);
+  }
+  const cx = (x0 + x1) / 2, cy = (y0 + y1) / 2;
+  let rw = (x1 - x0) * 1.5, rh = (y1 - y0) * 1.5;
+  if (rw / rh < 4 / 3) rw = rh * 4 / 3; else rh = rw * 3 / 4;
+  rw = Math.min(rw, w); rh = Math.min(rh, h);
+  const x = Math.min(Math.max(0, cx - rw / 2), w - rw);
+  const y = Math.min(Math.max(0, cy - rh / 2), h - rh);
+  return { x: Math.round(x), y: Math.round(y), w: Math.round(rw), h: Math.round(rh) };
+}
+
+// Run the wafer detector on each hand approaching the mouth → Promise of frame.wafer (array) or null
+// image: frame source for the crop; checks: per-hand throttle/overlay state
+// participant: id the frame belongs to (live camera: a participant's own frame); tags the results
+async function checkWaferInHands({ face, hands, handedness, width, height, timestamp }, image = video, checks = {}, participant = null) {
+  if (!face || !hands?.length) return null;
+  const { lipCenter } = measureMouth(face, width, height);
+  const faceScale = measureFaceScale(face, width, height);
+  const labels = handLabels(hands, handedness);
+
+  const seen = [];
+  for (const [i, hand] of hands.entries()) {
+    const label = labels[i];
+    const prev = checks[label];
+    if (prev && timestamp - prev.ts < activeConfig.WAFER_CHECK_MS) continue;
+
+    const tip = { x: hand[8].x * width, y: hand[8].y * height };
+    if (euclideanDistance(lipCenter, tip) / faceScale > activeConfig.WAFER_APPROACH_FACE) continue;
+
+    const rect = handCropRect(hand, width, height);
+    const r = await waferDetector.detectRegion(image, rect);
+    if (!r) continue; // OpenCV / references not ready yet, or worker still busy
+
+    if (r.rejected && r.rejected.ref !== prev?.rejected?.ref) {
+      sessionLog.add("wafer-rejected", {
+        participant,
+        hand: label,
+        negative: r.rejected.label,
+        negativeRef: r.rejected.ref,
+        confidence: +r.rejected.confidence.toFixed(3),
+        product: r.rejected.positive,
+      });
+    }
+    if (r.waferPresent && !prev?.present) {
+      sessionLog.add("wafer-seen", {
+        participant,
+        hand: label,
+        product: r.label,
+        runnerUp: r.runnerUp,
+        margin: +r.margin.toFixed(3),
+        ref: r.ref,
+        confidence: r.confidence,
+        templateScore: r.bestTemplateScore,
+        inliers: r.bestInliers,
+      });
+    }
+    checks[label] = { ts: timestamp, rect, present: r.waferPresent, product: r.label, rejected: r.rejected, box: r.box };
+    if (participant) {
+      // Live checks only (file analysis runs without participants)
+      eventStream.send("wafer:check", {
+        ts: timestamp,
+        participant,
+        hand: label,
+        present: r.waferPresent,
+        label: r.label,
+        confidence: +r.confidence.toFixed(3),
+        rejected: r.rejected ? r.rejected.label : null,
+      });
     }
+    if (r.waferPresent) {
+      seen.push({
+        ...(participant ? { participant } : {}),
+        hand: label,
+        product: r.label, // class label, or "uncertain" when two classes score close together
+        ref: r.ref,
+        confidence: +r.confidence.toFixed(3),
+        templateScore: r.bestTemplateScore === null ? null : +r.bestTemplateScore.toFixed(3),
+        inliers: r.bestInliers,
+      });
+    }
+  }
+  return seen.length ? seen : null;
+}
 
-    // Status labels
-    if (waferTaken) {
-      ctx.fillStyle = "#7cff8e";
-      ctx.font = "bold 16px system-ui";
-      ctx.fillText("WAFFER TAKEN TO MOUTH ✔ (chew counting active)", 10, 40);
+// Each hand's wafer checks in one frame, one participant after the other (the detector drops
+// calls while busy) → Promise of frame.wafer entries or null
+async function checkParticipantsWafer(people, image) {
+  const seen = [];
+  for (const p of people) {
+    if (!p.visible) continue;
+    const found = await checkWaferInHands(p.frame, image, waferChecks[p.id] ||= {}, p.id);
+    if (found) seen.push(...found);
+  }
+  return seen.length ? seen : null;
+}
+
+function drawWaferChecks(ts) {
+  const all = Object.entries(waferChecks).flatMap(([id, checks]) =>
+    Object.entries(checks).map(([hand, check]) => [`${id} ${hand}`, check]));
+  for (const [label, check] of all) {
+    if (ts - check.ts > 500) continue;
+    const { rect, present, product, rejected, box } = check;
+    ctx.strokeStyle = present ? "#7cff8e" : "rgba(255,255,255,0.4)";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+    if (present && box) {
+      // Best template match (scale/rotation pyramid, see wafer-detection.js)
+      ctx.beginPath();
+      for (let i = 0; i < 4; i++) ctx.lineTo(box.quad[i * 2], box.quad[i * 2 + 1]);
+      ctx.closePath();
+      ctx.stroke();
     }
-    if (lipCenter) {
-      ctx.fillStyle = "#ffffff";
-      ctx.font = "14px system-ui";
-      ctx.fillText(`Chews (last ${EAT_WINDOW_MS/1000}s): ${chewEvents.length}`, 10, canvas.height - 20);
-      ctx.fillText(`Mouth openness: ${openness.toFixed(3)}`, 10, canvas.height - 80);
-      if (eatingDetected) {
-        ctx.fillStyle = "#00ffa6";
-        ctx.font = "bold 18px system-ui";
-        ctx.fillText("EATING ✔", 10, canvas.height - 100);
-      }
+    ctx.fillStyle = present ? "#7cff8e" : "rgba(255,255,255,0.7)";
+    ctx.font = "12px system-ui";
+    const text = present ? `${label}: ${product}` : (rejected ? `${label}: not ${rejected.positive} (${rejected.label})` : label);
+    ctx.fillText(text, rect.x + 4, rect.y + 14);
+  }
+}
+
+// One frame through the eating logic + overlay (shared by camera, mock and replay)
+// source: label drawn when there is no image
+// → participants [{id, visible, frame, state, ...}] (null while calibrating)
+function processFrame(frame, image, source = "REPLAY") {
+  recorder.capture(frame);
+
+  // Calibration wizard replaces detection until it finishes
+  let calib = null;
+  if (calibration) {
+    const openness = frame.face ? measureMouth(frame.face, frame.width, frame.height).openness : null;
+    calib = calibration.addSample(openness, frame.timestamp);
+    if (calib.done) finishCalibration();
+  }
+  const people = calib && !calib.done ? null : eatingMonitor.update(frame);
+
+  // Draw base frame (labels only on top)
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (image) {
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  } else {
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "#ffd24d";
+    ctx.font = "bold 14px system-ui";
+    ctx.fillText(`${source}  ${(frame.timestamp / 1000).toFixed(2)} s`, canvas.width - 170, 20);
+  }
+  if (image) drawWaferChecks(frame.timestamp);
+  if (people) {
+    const headline = headlineParticipant(people);
+    drawOverlay(headline?.state ?? null, headline?.id);
+    drawParticipants(people);
+  } else {
+    drawCalibration(calib);
+  }
+  return people;
+}
+
+// Active backend on one image → landmark fields of a frame
+function detectLandmarks(image, timestamp) {
+  return landmarks.detect(image, timestamp);
+}
+
+// Live loop: one call per camera frame, or per tick of the backend's clock (mock)
+async function onLiveFrame() {
+  if (replayer || analyzer) return; // paused while replaying / analyzing a file
+
+  // Ensure canvas matches the current video frame (mock: the scenario size)
+  const image = landmarks.usesCamera ? video : null;
+  if (image && video.videoWidth && video.videoHeight) {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+  } else if (!image) {
+    canvas.width = landmarks.width;
+    canvas.height = landmarks.height;
+  }
+
+  const timestamp = performance.now();
+  const frame = {
+    ...(await detectLandmarks(image, timestamp)),
+    width: canvas.width,
+    height: canvas.height,
+    timestamp,
+  };
+  // Wafer checks run in the worker without holding up the camera; their results ride
+  // along with the next frame (so recordings and the detector see them too). Scripted
+  // backends report their own recognitions
+  const wafer = [...(frame.wafer || []), ...pendingWafer];
+  frame.wafer = wafer.length ? wafer : null;
+  pendingWafer = [];
+  const people = processFrame(frame, image, landmarks.name.toUpperCase());
+  if (people && image) {
+    checkParticipantsWafer(people, image)
+      .then((seen) => { if (seen) pendingWafer.push(...seen); })
+      .catch((e) => console.warn("[wafer] check failed:", e));
+  }
+}
+
+// ---- Global helpers for the recording buttons ----
+function setRecordingUi(msg) {
+  const el = document.getElementById("recStatus");
+  if (el) el.textContent = msg;
+}
+
+function startRecording() {
+  recorder.start({ source: "camera", userId: currentUserId, userAgent: navigator.userAgent, config: { ...activeConfig } });
+  setRecordingUi("Recording…");
+}
+
+function stopRecording() {
+  if (!recorder.recording) return;
+  recorder.stop();
+  setRecordingUi(`Recorded ${recorder.frameCount} frames`);
+  recorder.download();
+}
+
+function replayRecordingFile() {
+  const fileInput = document.getElementById("replayFile");
+  if (!fileInput) return;
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    let frames;
+    try {
+      ({ frames } = parseRecording(await file.text()));
+    } catch (e) {
+      console.error("replay load err:", e);
+      alert(`Could not read recording: ${e.message}`);
+      return;
     }
-  },
-  width: 640,
-  height: 480,
+    stopReplay();
+    eatingMonitor.reset();
+    setRecordingUi(`Replaying ${file.name} (${frames.length} frames)`);
+    replayer = new LandmarkReplayer(frames, {
+      onFrame: (f) => {
+        canvas.width = f.width;
+        canvas.height = f.height;
+        processFrame(f, null);
+      },
+      onEnd: () => {
+        replayer = null;
+        eatingMonitor.finish(frames[frames.length - 1].timestamp);
+        eatingMonitor.reset();
+        setRecordingUi(`Replay of ${file.name} finished`);
+      },
+    });
+    replayer.start();
+  };
+  fileInput.click();
+}
+
+function stopReplay() {
+  if (!replayer) return;
+  replayer.stop();
+  replayer = null;
+  eatingMonitor.reset();
+  setRecordingUi("Replay stopped");
+}
+
+// Close every participant's open bite/episode and show the summaries (chews per bite, durations)
+function finishEpisode() {
+  const summaries = eatingMonitor.finish(performance.now()).filter(s => s.summary);
+  const el = document.getElementById("recStatus");
+  if (!el) return;
+  el.textContent = summaries.length
+    ? summaries.map(({ id, summary }) => `${id} episode #${summary.episodeId}: ${summary.biteCount} bites, ` +
+      `chews/bite [${summary.chewsPerBite.join(", ")}], ${(summary.durationMs / 1000).toFixed(1)} s`).join(" | ")
+    : "No eating episode yet";
+}
+
+// ---- Global helpers for the calibration controls ----
+function setCalibrationUi(msg) {
+  const el = document.getElementById("calibStatus");
+  if (el) el.textContent = msg;
+}
+
+function selectUser(userId) {
+  currentUserId = (userId || "").trim() || null;
+  eatingMonitor.setMouthThresholds(activeConfig);
+  if (!currentUserId) {
+    setCalibrationUi("No participant – configured thresholds");
+    return;
+  }
+  localStorage.setItem(LAST_USER_KEY, currentUserId);
+  eventStream.send("participant", { userId: currentUserId });
+
+  const saved = loadMouthCalibration(currentUserId);
+  if (saved) {
+    eatingMonitor.setMouthThresholds(saved);
+    setCalibrationUi(`${currentUserId}: open ${saved.OPEN_THR} / close ${saved.CLOSE_THR} (saved ${saved.savedAt.slice(0, 10)})`);
+    sessionLog.add("calibration-loaded", { userId: currentUserId, openThr: saved.OPEN_THR, closeThr: saved.CLOSE_THR });
+  } else {
+    // First session for this participant → calibrate before detecting
+    calibrateMouth();
+  }
+}
+
+// Calibrates the first face in view; the thresholds then apply to every participant
+function calibrateMouth() {
+  calibration = new MouthCalibration();
+  setCalibrationUi("Calibrating… follow the prompts on the video");
+}
+
+function finishCalibration() {
+  const { result, error } = calibration;
+  calibration = null;
+  eatingMonitor.reset();
+  if (error) {
+    setCalibrationUi(`Calibration failed: ${error}`);
+    sessionLog.add("calibration-failed", { userId: currentUserId, error });
+    return;
+  }
+  eatingMonitor.setMouthThresholds(result);
+  if (currentUserId) saveMouthCalibration(currentUserId, result);
+  setCalibrationUi(`${currentUserId || "(no participant)"}: open ${result.OPEN_THR} / close ${result.CLOSE_THR}`);
+  sessionLog.add("calibration", {
+    userId: currentUserId,
+    openThr: result.OPEN_THR,
+    closeThr: result.CLOSE_THR,
+    closedP90: result.stats.closedP90,
+    openP50: result.stats.openP50,
+    chewP90: result.stats.chewP90,
+  });
+}
+
+window.addEventListener("load", async () => {
+  const streamInput = document.getElementById("streamUrl");
+  if (streamInput) streamInput.value = eventStream.url || "";
+  setStreamUi(eventStream.status());
+
+  await configReady; // calibrated thresholds override the configured ones
+  const input = document.getElementById("userId");
+  const last = localStorage.getItem(LAST_USER_KEY);
+  if (input && last) {
+    input.value = last;
+    selectUser(last);
+  }
 });
 
-cam.start();
\ No newline at end of file
+// ---- Global helpers for the video-file analysis controls ----
+function analyzeVideoFile() {
+  const fileInput = document.getElementById("analysisFile");
+  if (!fileInput) return;
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file || analyzer) return;
+    stopReplay();
+
+    const fps = parseFloat(document.getElementById("analysisFps")?.value) || 30;
+    analyzer = new VideoFileAnalyzer({
+      fps,
+      detectLandmarks,
+      checkWafer: checkWaferInHands,
+      createDetector: () => new EatingDetector(eatingMonitor.getConfig()),
+      config: { ...activeConfig, ...eatingMonitor.getConfig() },
+      onFrame: (state, frame, image, p) => {
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        drawOverlay(state);
+        setRecordingUi(`Analyzing ${file.name}: frame ${p.frame} (${p.time.toFixed(1)} / ${p.duration.toFixed(1)} s)`);
+      },
+    });
+    // Fresh tracking state for the file, and again for the camera afterwards
+    landmarks.reset();
+    try {
+      const result = await analyzer.analyze(file);
+      lastAnalysis = analyzer;
+      sessionLog.add("video-analysis", {
+        file: result.file,
+        frames: result.frames,
+        complete: result.complete,
+        bites: result.summary?.biteCount ?? 0,
+      });
+      setRecordingUi(`${result.complete ? "Analyzed" : "Cancelled"} ${file.name}: ${result.frames} frames, ` +
+        `${result.events.length} events, ${result.summary?.biteCount ?? 0} bites`);
+    } catch (e) {
+      console.error("video analysis err:", e);
+      setRecordingUi(`Analysis failed: ${e.message}`);
+    } finally {
+      analyzer = null;
+      landmarks.reset();
+    }
+  };
+  fileInput.click();
+}
+
+function cancelVideoAnalysis() { analyzer?.cancel(); }
+
+function exportTimeline(format) {
+  if (!lastAnalysis) { alert("Analyze a video file first."); return; }
+  lastAnalysis.download(format);
+}
+
+// ---- Runtime config (eating-config.js): file + query on load, live settings panel ----
+function setConfigUi(msg) {
+  const el = document.getElementById("configStatus");
+  if (el) el.textContent = msg;
+}
+
+function reportConfigErrors(errors) {
+  for (const e of errors) {
+    console.warn(`[config] ${e.source}: ${e.key} – ${e.message}`);
+    sessionLog.add("config-error", { source: e.source, key: e.key, value: e.value, message: e.message });
+  }
+}
+
+// Push config values into the detector, the models and the exports
+// changed: detector keys to (re)apply – a single panel edit must not undo calibrated thresholds
+function applyConfig(config, changed = config) {
+  activeConfig = config;
+  sessionLog.meta.config = activeConfig;
+  eatingMonitor.configure(changed);
+  Promise.resolve(landmarks.setOptions(config)).catch((e) => {
+    console.warn("[landmarks] options not applied:", e);
+    setConfigUi(`Model options not applied: ${e.message}`);
+    sessionLog.add("backend-error", { backend: landmarks.name, stage: "options", reason: e.message });
+  });
+}
+
+const configReady = loadEatingConfig()
+  .then(({ config, errors, sources }) => {
+    applyConfig(config);
+    reportConfigErrors(errors);
+    sessionLog.add("config", { sources: sources.join("+"), config });
+    buildSettingsPanel();
+    setConfigUi(errors.length
+      ? `Config from ${sources.join(" + ")}: ${errors.length} invalid value(s) ignored (see console)`
+      : `Config from ${sources.join(" + ")}`);
+  })
+  .catch((e) => {
+    console.error("config load err:", e);
+    buildSettingsPanel();
+    setConfigUi(`Config load failed, using defaults: ${e.message}`);
+  });
+
+// Frames only start flowing once the models are loaded and the configured thresholds /
+// model options are applied
+Promise.all([landmarks.init(), configReady])
+  .then(() => (landmarks.usesCamera
+    ? startCameraLoop(video, onLiveFrame, { width: 640, height: 480 })
+    : startClockLoop(onLiveFrame, landmarks.fps)))
+  .catch((e) => {
+    console.error("landmark backend err:", e);
+    showAssetError(`landmark backend "${landmarks.name}" unavailable: ${e.message}`);
+    sessionLog.add("backend-error", { backend: landmarks.name, reason: e.message });
+  });
+
+// One input per schema key, one fieldset per spec.group; values are validated before they
+// reach the detector
+function buildSettingsPanel() {
+  const panel = document.getElementById("eatingSettings");
+  if (!panel) return;
+  panel.innerHTML = "";
+  const fieldsets = {};
+  for (const [key, spec] of Object.entries(EATING_CONFIG_SCHEMA)) {
+    if (!fieldsets[spec.group]) {
+      const fieldset = document.createElement("fieldset");
+      const legend = document.createElement("legend");
+      legend.textContent = spec.group;
+      fieldset.append(legend);
+      panel.append(fieldset);
+      fieldsets[spec.group] = fieldset;
+    }
+    const group = document.createElement("div");
+    group.className = "setting-group";
+    const label = document.createElement("label");
+    label.htmlFor = `cfg-${key}`;
+    label.textContent = spec.label;
+    label.title = key;
+    const input = document.createElement("input");
+    input.id = `cfg-${key}`;
+    if (spec.type === "boolean") {
+      input.type = "checkbox";
+      input.checked = activeConfig[key];
+    } else {
+      input.type = "number";
+      input.min = spec.min;
+      input.max = spec.max;
+      input.step = spec.type === "integer" ? 1 : "any";
+      input.value = activeConfig[key];
+    }
+    input.onchange = () => setConfigValue(key, spec.type === "boolean" ? input.checked : input.value, input);
+    group.append(label, input);
+    fieldsets[spec.group].append(group);
+  }
+}
+
+function setConfigValue(key, raw, input) {
+  const { value, error } = coerceConfigValue(key, raw);
+  const config = { ...activeConfig, [key]: value };
+  const message = error || checkConfigOrder(config, activeConfig, "panel").errors[0]?.message;
+  input.classList.toggle("invalid", !!message);
+  input.title = message || "";
+  if (message) {
+    setConfigUi(`${key}: ${message}`);
+    return false;
+  }
+
+  // Editing either threshold replaces the calibrated pair with the configured one
+  const isThreshold = key === "OPEN_THR" || key === "CLOSE_THR";
+  const previous = activeConfig[key];
+  applyConfig(config, isThreshold ? { OPEN_THR: config.OPEN_THR, CLOSE_THR: config.CLOSE_THR } : { [key]: value });
+  sessionLog.add("config-change", { key, value, previous });
+  setConfigUi(`${key} = ${value}`);
+  return true;
+}
+
+function resetConfig() {
+  configReady.then(async () => {
+    const { config, errors } = await loadEatingConfig();
+    applyConfig(config);
+    const saved = currentUserId && loadMouthCalibration(currentUserId);
+    if (saved) eatingMonitor.setMouthThresholds(saved);
+    reportConfigErrors(errors);
+    sessionLog.add("config", { sources: "reset", config });
+    buildSettingsPanel();
+    setConfigUi("Config reloaded");
+  });
+}
+
+function downloadConfig() {
+  downloadBlob("eating-config.json", JSON.stringify(activeConfig, null, 2), "application/json");
+}
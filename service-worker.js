@@ -0,0 +1,92 @@
+// service-worker.js
+// Offline cache for the pages and their runtime assets (registered by offline-assets.js).
+// - Precaches APP_FILES on install; asset files come from the base given as ?assets=<base>
+//   on the registration URL ("cdn" = the public CDNs)
+// - Asset packages are precached only when a page asks for them ({type: "precache",
+//   packages} message from registerOfflineCache); any other asset file is cached the first
+//   time it is fetched
+// - Files that could not be precached are posted to the pages ({type: "precache-failed",
+//   files: [{path, url}]}), which report them like any other asset failure
+// - Assets: cache first (they are versioned by their path); app files: network first with
+//   the cache as fallback, so edits show up while a server is reachable
+// - A new asset base or OFFLINE_CACHE_VERSION installs a fresh cache and drops the old one
+
+importScripts("offline-assets.js");
+
+const OFFLINE_CACHE_VERSION = 2;
+const OFFLINE_CACHE_PREFIX = "eating-offline-";
+const offlineBase = normalizeAssetBase(new URL(location.href).searchParams.get("assets"));
+const OFFLINE_CACHE = `${OFFLINE_CACHE_PREFIX}v${OFFLINE_CACHE_VERSION}-${offlineBase || "cdn"}`;
+const offlineFiles = (pkgs) => assetList(pkgs, offlineBase).map(a => ({ path: a.path, url: new URL(a.url, location.href).href }));
+const offlineAssets = new Set(offlineFiles(Object.keys(ASSET_FILES)).map(f => f.url));
+
+// [{path, url}] not in the cache yet → cache; failures go to every page of this origin
+// (a failed file is fetched again next time)
+async function precache(files) {
+  const cache = await caches.open(OFFLINE_CACHE);
+  const missing = [];
+  for (const file of files) if (!(await cache.match(file.url))) missing.push(file);
+  const results = await Promise.allSettled(missing.map(file => cache.add(file.url)));
+  const failed = missing.filter((file, i) => results[i].status === "rejected");
+  if (!failed.length) return;
+  console.warn(`[service-worker] ${failed.length} files not precached:`, failed.map(f => f.url));
+  for (const client of await self.clients.matchAll({ includeUncontrolled: true })) {
+    client.postMessage({ type: "precache-failed", files: failed });
+  }
+}
+
+self.addEventListener("install", (event) => {
+  const files = APP_FILES.map(f => ({ path: f, url: new URL(f, location.href).href }));
+  event.waitUntil(precache(files).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("message", (event) => {
+  const { type, packages } = event.data || {};
+  if (type !== "precache" || !Array.isArray(packages)) return;
+  event.waitUntil(precache(offlineFiles(packages.filter(pkg => ASSET_FILES[pkg]))));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith(OFFLINE_CACHE_PREFIX) && key !== OFFLINE_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" && request.method !== "HEAD") return;
+  // HEAD (checkAssets) is answered from the cached GET; pages match without their query
+  const match = () => caches.match(request, { ignoreMethod: true, ignoreSearch: request.mode === "navigate" });
+
+  if (offlineAssets.has(request.url)) {
+    event.respondWith((async () => {
+      const cached = await match();
+      if (cached) return cached;
+      const res = await fetch(request);
+      if (request.method === "GET" && (res.ok || res.type === "opaque")) {
+        const copy = res.clone();
+        caches.open(OFFLINE_CACHE).then(cache => cache.put(request, copy));
+      }
+      return res;
+    })());
+    return;
+  }
+  if (new URL(request.url).origin !== location.origin) return;
+  event.respondWith((async () => {
+    try {
+      const res = await fetch(request);
+      if (res.ok && request.method === "GET") {
+        const copy = res.clone();
+        caches.open(OFFLINE_CACHE).then(cache => cache.put(request, copy));
+      }
+      return res;
+    } catch (e) {
+      const cached = await match();
+      if (cached) return cached;
+      throw e;
+    }
+  })());
+});
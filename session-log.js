@@ -0,0 +1,93 @@
+// session-log.js
+// Structured per-session event log with CSV / JSON export.
+// - Every entry: session id, sequence no., wall-clock ISO time, monotonic ms, event type
+// - Measurements (distances, openness, chew count, inliers, template score, …) as flat fields
+// - CSV columns = fixed base columns + union of all measurement keys (snake_case)
+// - meta (session-wide context, e.g. the active config): top-level JSON fields; in the CSV one
+//   leading "# key: <json>" comment row per key (pandas: read_csv(..., comment="#"))
+
+function makeSessionId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function toSnakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number") return Number.isFinite(v) ? String(+v.toFixed(4)) : "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Browser download of a text body (every page loads this file first, so all exports use it)
+function downloadBlob(name, body, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([body], { type }));
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+class SessionLog {
+  constructor({ page = "", sessionId = makeSessionId() } = {}) {
+    this.page = page;
+    this.sessionId = sessionId;
+    this.startedAt = new Date().toISOString();
+    this.meta = {};   // session-wide context stamped into both exports (e.g. active config)
+    this.entries = [];
+  }
+
+  add(type, data = {}) {
+    const entry = {
+      sessionId: this.sessionId,
+      seq: this.entries.length + 1,
+      time: new Date().toISOString(),
+      tMs: +performance.now().toFixed(1),
+      event: type,
+      ...data,
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  clear() { this.entries = []; }
+
+  toJSON() {
+    return {
+      sessionId: this.sessionId,
+      page: this.page,
+      startedAt: this.startedAt,
+      exportedAt: new Date().toISOString(),
+      ...this.meta,
+      events: this.entries,
+    };
+  }
+
+  toCSV() {
+    const base = ["sessionId", "seq", "time", "tMs", "event"];
+    const extra = [];
+    for (const e of this.entries) {
+      for (const k of Object.keys(e)) if (!base.includes(k) && !extra.includes(k)) extra.push(k);
+    }
+    const cols = [...base, ...extra];
+    const lines = Object.entries(this.meta).map(([k, v]) => `# ${toSnakeCase(k)}: ${JSON.stringify(v)}`);
+    lines.push(cols.map(toSnakeCase).join(","));
+    for (const e of this.entries) lines.push(cols.map(k => csvCell(e[k])).join(","));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // format: "csv" | "json"
+  download(format = "csv") {
+    const csv = format === "csv";
+    const body = csv ? this.toCSV() : JSON.stringify(this.toJSON(), null, 2);
+    downloadBlob(`session-${this.page ? this.page + "-" : ""}${this.sessionId}.${csv ? "csv" : "json"}`, body, csv ? "text/csv" : "application/json");
+  }
+}
+
+// Node (tests / offline tools): require("./session-log.js")
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SessionLog };
+}
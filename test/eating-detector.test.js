@@ -0,0 +1,111 @@
+// test/eating-detector.test.js
+// Headless check of EatingDetector with synthetic landmarks: npm test (node --test)
+// - One face (eye corners 100 px apart) and a right hand that brings something to the lips,
+//   holds it there and leaves, then ~6 s of chewing (lips closed half of every cycle, jaw
+//   swaying sideways) at 1.5 Hz, 30 fps on a 640x480 frame
+// - Asserts the hold → bitestart → chew → eating events and the finish() episode summary, and
+//   that REQUIRE_WAFER holds the bite back until a wafer is seen in that hand
+
+const assert = require("assert");
+const { EatingDetector, LIP_INDICES } = require("../eating-detector.js");
+
+const W = 640, H = 480, FPS = 30, DURATION_MS = 10000;
+const LIPS = { x: 320, y: 260 };
+
+function point(x, y) {
+  return { x: x / W, y: y / H, z: 0 };
+}
+
+// 468 face points: only eye corners, nose, lips and chin are placed, the rest sit on the nose
+function face(openness, lateral) {
+  const pts = Array.from({ length: 468 }, () => point(320, 220));
+  pts[33] = point(270, 180);
+  pts[263] = point(370, 180);
+  const gap = openness * 40; // mouth 40 px wide
+  LIP_INDICES.forEach((i, k) => {
+    const upper = k < 9;
+    const u = upper ? k / 8 : (k - 8) / 7;
+    pts[i] = point(300 + 40 * u, LIPS.y + (upper ? -1 : 1) * gap / 2 * (1 - (2 * u - 1) ** 2));
+  });
+  pts[13] = point(LIPS.x, LIPS.y - gap / 2);
+  pts[14] = point(LIPS.x, LIPS.y + gap / 2);
+  pts[61] = point(300, LIPS.y);
+  pts[291] = point(340, LIPS.y);
+  pts[152] = point(320 + lateral * 100, 295 + gap);
+  return pts;
+}
+
+// 21 hand points: thumb / index tips either side of (x, y), palm 60 px below them
+function hand(x, y) {
+  const pts = Array.from({ length: 21 }, () => point(x, y + 40));
+  pts[0] = point(x, y + 100);
+  pts[4] = point(x - 5, y);
+  pts[8] = point(x + 5, y);
+  return pts;
+}
+
+// Hand: 0-1 s toward the lips, held until 1.8 s, gone at 2.4 s; chewing 2.5-9 s
+function frameAt(t) {
+  let tips = null;
+  if (t < 1000) tips = { x: 450 + (LIPS.x - 450) * t / 1000, y: 450 + (LIPS.y + 2 - 450) * t / 1000 };
+  else if (t < 1800) tips = { x: LIPS.x, y: LIPS.y + 2 };
+  else if (t < 2400) tips = { x: LIPS.x + (t - 1800) / 600 * 130, y: LIPS.y + (t - 1800) / 600 * 190 };
+
+  let openness = 0.02, lateral = 0;
+  if (t >= 2500 && t < 9000) {
+    const phase = 2 * Math.PI * 1.5 * (t - 2500) / 1000;
+    openness = 0.02 + 0.18 * Math.max(0, Math.sin(phase)) ** 2;
+    lateral = 0.05 * Math.sin(phase);
+  }
+  return {
+    face: face(openness, lateral),
+    hands: tips ? [hand(tips.x, tips.y)] : null,
+    handedness: tips ? [{ label: "Right", score: 1 }] : null,
+    width: W,
+    height: H,
+    timestamp: t,
+  };
+}
+
+// Frames through a fresh detector → { events, summary }
+function run(options, wafer = () => null) {
+  const detector = new EatingDetector(options);
+  const events = [];
+  for (const type of EatingDetector.EVENT_TYPES) detector.on(type, (e) => events.push({ type, ...e }));
+  for (let t = 0; t < DURATION_MS; t += 1000 / FPS) detector.update({ ...frameAt(t), wafer: wafer(t) });
+  const summary = detector.finish(DURATION_MS);
+  const of = (type) => events.filter(e => e.type === type);
+  return { events, of, summary };
+}
+
+// Hold → bite → chewing → eating
+{
+  const { of, summary } = run({});
+  assert.strictEqual(of("holdstart").length, 1, "one hold");
+  const [bite] = of("bitestart");
+  assert.ok(bite, "bitestart emitted");
+  assert.strictEqual(bite.hand, "Right");
+  assert.ok(bite.ts >= 800 && bite.ts < 1800, `bite starts once the hand is at the lips (${bite.ts})`);
+  const chews = of("chew");
+  assert.ok(chews.length >= 8 && chews.length <= 10, `chews counted (${chews.length})`);
+  assert.ok(chews.every(c => c.ts > 2500 && c.ts < 9000), "chews only while chewing");
+  const [eating] = of("eating");
+  assert.ok(eating, "eating emitted");
+  assert.ok(eating.ts > 2500 && eating.ts < 9000, `eating flagged while chewing (${eating.ts})`);
+  assert.ok(eating.chewsPerMinute > 60 && eating.chewsPerMinute < 120, `chew rate ≈ 90/min (${eating.chewsPerMinute})`);
+
+  assert.ok(summary, "finish() returns the episode summary");
+  assert.strictEqual(summary.biteCount, 1);
+  assert.deepStrictEqual(summary.chewsPerBite, [chews.length], "every chew belongs to the bite");
+}
+
+// REQUIRE_WAFER: no bite from the hold alone, a bite once the wafer is seen in that hand
+{
+  assert.strictEqual(run({ REQUIRE_WAFER: true }).of("bitestart").length, 0, "no wafer → no bite");
+  const seen = (t) => (t >= 700 && t < 1800 ? { hand: "Right", product: "wafer", ref: "synthetic", confidence: 1 } : null);
+  const [bite] = run({ REQUIRE_WAFER: true }, seen).of("bitestart");
+  assert.ok(bite, "wafer seen → bitestart");
+  assert.strictEqual(bite.waferProduct, "wafer");
+}
+
+console.log("eating-detector: ok");
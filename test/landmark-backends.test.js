@@ -0,0 +1,58 @@
+// test/landmark-backends.test.js
+// Headless run of the whole pipeline on the scripted mock backend: npm test (node --test)
+// - MOCK_SCENARIOS frames (collectFrames) → ParticipantMonitor (replayRecording), no camera / GPU
+// - bite: one participant, one bite (with and without REQUIRE_WAFER), chewing → eating
+// - table: two participants keep their ids; only the one who takes the bite eats
+// - The mock is deterministic: two runs give the same frames
+
+const assert = require("assert");
+const { MockLandmarkBackend, collectFrames } = require("../landmark-backends.js");
+const { ParticipantMonitor } = require("../participants.js");
+const { replayRecording } = require("../landmark-recorder.js");
+
+// Scenario through a fresh monitor → events of one type per participant
+async function runScenario(scenario, detectorOptions = {}) {
+  const frames = await collectFrames(new MockLandmarkBackend({}, { scenario }));
+  const { events } = replayRecording(frames, new ParticipantMonitor({ detectorOptions }));
+  const of = (type, participant) => events.filter(e => e.type === type && (!participant || e.participant === participant));
+  return { frames, events, of };
+}
+
+(async () => {
+  // bite
+  for (const REQUIRE_WAFER of [false, true]) {
+    const { frames, of } = await runScenario("bite", { REQUIRE_WAFER });
+    assert.strictEqual(frames.length, 300, "10 s at 30 fps");
+    assert.deepStrictEqual(of("join").map(e => e.participant), ["P1"]);
+    const [bite] = of("bitestart", "P1");
+    assert.ok(bite, `bitestart (REQUIRE_WAFER ${REQUIRE_WAFER})`);
+    assert.strictEqual(bite.hand, "Right");
+    assert.strictEqual(bite.waferProduct, "wafer");
+    assert.strictEqual(of("eating", "P1").length, 1, "eating flagged once");
+    const [end] = of("episodeend", "P1");
+    assert.ok(end, "episode finished by replayRecording");
+    assert.strictEqual(end.biteCount, 1);
+    assert.ok(end.chewsPerBite[0] >= 8, `chews in the bite (${end.chewsPerBite[0]})`);
+  }
+
+  // table
+  {
+    const { of } = await runScenario("table");
+    assert.deepStrictEqual(of("join").map(e => e.participant), ["P1", "P2"], "two stable participants");
+    assert.strictEqual(of("bitestart", "P1").length, 0, "the talker takes no bite");
+    assert.strictEqual(of("eating", "P1").length, 0, "the talker is not eating");
+    assert.strictEqual(of("bitestart", "P2").length, 1);
+    assert.strictEqual(of("eating", "P2").length, 1);
+    assert.strictEqual(of("activity", "P1").at(-1).activity, "talking");
+  }
+
+  // Deterministic frames
+  const a = await collectFrames(new MockLandmarkBackend({}, { scenario: "table" }));
+  const b = await collectFrames(new MockLandmarkBackend({}, { scenario: "table" }));
+  assert.deepStrictEqual(a, b, "same scenario → same frames");
+
+  console.log("landmark-backends (mock pipeline): ok");
+})().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
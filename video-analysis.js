@@ -0,0 +1,168 @@
+// video-analysis.js
+// Offline analysis of a recorded video file, frame by frame.
+// - Seeks an off-screen <video> through the file at a fixed step (fps) and uses the
+//   media timestamp of each decoded frame as the detector clock
+// - Runs face/hand landmarks + wafer check + a fresh EatingDetector per file
+// - Produces a per-frame timeline (states + events with frame numbers), exportable
+//   as JSON / CSV (csvCell from session-log.js)
+
+const TIMELINE_FIELDS = [
+  "frame", "t", "faceOk", "hands", "hand", "openness", "mouthState", "mouthActivity",
+  "holding", "waferPending", "waferTaken", "biteId", "biteChews", "chewCount",
+  "chewsPerMinute", "chewConfidence", "eating", "events",
+];
+
+// Resolves once the seek landed; uses requestVideoFrameCallback's mediaTime when available
+function seekVideo(videoEl, time) {
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const finish = (mediaTime) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      videoEl.removeEventListener("error", onError);
+      resolve(mediaTime ?? videoEl.currentTime);
+    };
+    const onError = () => reject(new Error("Video decode error while seeking"));
+    const timer = setTimeout(() => finish(), 2000); // rVFC may not fire for the last frame
+
+    videoEl.addEventListener("error", onError, { once: true });
+    if (videoEl.requestVideoFrameCallback) {
+      videoEl.requestVideoFrameCallback((now, meta) => finish(meta.mediaTime));
+    } else {
+      videoEl.addEventListener("seeked", () => finish(), { once: true });
+    }
+    videoEl.currentTime = time;
+  });
+}
+
+class VideoFileAnalyzer {
+  // detectLandmarks(image, timestamp ms) → { face, hands, handedness } (the live page's
+  //   landmark backend, see landmark-backends.js)
+  // checkWafer(frame, image, checks) → frame.wafer value or a Promise of it (optional)
+  // createDetector() → EatingDetector configured like the live one
+  // onFrame(state, frame, image, progress) → live preview (optional)
+  // config: page config stamped into the result (defaults to the detector's tunables)
+  constructor({ detectLandmarks, checkWafer = null, createDetector, onFrame = null, fps = 30, config = null }) {
+    this.detectLandmarks = detectLandmarks;
+    this.checkWafer = checkWafer;
+    this.createDetector = createDetector;
+    this.onFrame = onFrame;
+    this.fps = fps;
+    this.config = config;
+    this.cancelled = false;
+    this.result = null;
+  }
+
+  cancel() { this.cancelled = true; }
+
+  async analyze(file) {
+    this.cancelled = false;
+    const videoEl = document.createElement("video");
+    videoEl.muted = true;
+    videoEl.playsInline = true;
+    videoEl.preload = "auto";
+    videoEl.src = URL.createObjectURL(file);
+
+    try {
+      await new Promise((resolve, reject) => {
+        videoEl.onloadeddata = resolve;
+        videoEl.onerror = () => reject(new Error(`Cannot decode ${file.name}`));
+      });
+
+      const detector = this.createDetector();
+      const pending = [];  // events emitted during the current frame
+      const events = [];
+      for (const type of detector.constructor.EVENT_TYPES) {
+        detector.on(type, ({ bites, ...detail }) => pending.push({ type, ...detail }));
+      }
+
+      const duration = videoEl.duration;
+      const step = 1 / this.fps;
+      const waferChecks = {};
+      const timeline = [];
+      let lastMediaTime = -1;
+      let frameNo = 0;
+
+      for (let time = 0; time < duration && !this.cancelled; time += step) {
+        const mediaTime = await seekVideo(videoEl, time);
+        if (mediaTime <= lastMediaTime) continue; // source fps lower than the step → same frame
+        lastMediaTime = mediaTime;
+
+        const frame = {
+          ...(await this.detectLandmarks(videoEl, mediaTime * 1000)),
+          width: videoEl.videoWidth,
+          height: videoEl.videoHeight,
+          timestamp: mediaTime * 1000,
+        };
+        if (this.checkWafer) frame.wafer = await this.checkWafer(frame, videoEl, waferChecks);
+
+        pending.length = 0;
+        const state = detector.update(frame);
+        for (const e of pending) events.push({ frame: frameNo, t: frame.timestamp, ...e });
+
+        timeline.push({
+          frame: frameNo,
+          t: +frame.timestamp.toFixed(1),
+          faceOk: state.faceOk,
+          hands: state.hands.length,
+          hand: state.hand,
+          openness: +state.openness.toFixed(4),
+          mouthState: state.mouthState,
+          mouthActivity: state.mouthActivity,
+          holding: state.holding,
+          waferPending: state.waferPending,
+          waferTaken: state.waferTaken,
+          biteId: state.biteId,
+          biteChews: state.biteChews,
+          chewCount: state.chewCount,
+          chewsPerMinute: +state.chewsPerMinute.toFixed(1),
+          chewConfidence: +state.chewConfidence.toFixed(3),
+          eating: state.eating,
+          events: pending.map(e => e.type).join("|"),
+        });
+
+        this.onFrame?.(state, frame, videoEl, { frame: frameNo, time: mediaTime, duration });
+        frameNo++;
+      }
+
+      const end = lastMediaTime * 1000;
+      pending.length = 0;
+      const summary = detector.finish(end);
+      for (const e of pending) events.push({ frame: frameNo - 1, t: end, ...e });
+
+      this.result = {
+        file: file.name,
+        fps: this.fps,
+        durationMs: +(duration * 1000).toFixed(1),
+        frames: timeline.length,
+        complete: !this.cancelled,
+        analyzedAt: new Date().toISOString(),
+        config: this.config || detector.getConfig(),
+        summary,
+        events,
+        timeline,
+      };
+      return this.result;
+    } finally {
+      URL.revokeObjectURL(videoEl.src);
+      videoEl.removeAttribute("src");
+      videoEl.load();
+    }
+  }
+
+  toCSV() {
+    if (!this.result) return "";
+    const lines = [TIMELINE_FIELDS.join(",")];
+    for (const row of this.result.timeline) lines.push(TIMELINE_FIELDS.map(k => csvCell(row[k])).join(","));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // format: "csv" | "json"
+  download(format = "json") {
+    if (!this.result) return;
+    const csv = format === "csv";
+    const body = csv ? this.toCSV() : JSON.stringify(this.result, null, 2);
+    downloadBlob(`${this.result.file.replace(/\.[^.]+$/, "")}-timeline.${csv ? "csv" : "json"}`, body, csv ? "text/csv" : "application/json");
+  }
+}
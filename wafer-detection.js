@@ -1,25 +1,259 @@
 // fast-wafer-detector-instant.js
 // OpenCV.js wafer detector with INSTANT template-gating + fast ORB fallback.
-// - Tiny template match first (very fast) → instant PASS if score ≥ threshold
+// - Tiny template match first (very fast) → instant PASS if score ≥ threshold; templates form
+//   a scale × in-plane-rotation pyramid (aspect kept), searched within a time budget
 // - If not passed, run downscaled ORB+RANSAC (early-exit)
+// - Both signals fused into a per-frame confidence (AND / OR / weighted); "present"
+//   follows the smoothed confidence with enter/exit hysteresis
 // - Preallocated Mats, fewer features, 30Hz compute loop
+// - No DOM lookups: frame source / render target are injected, results are events
+//   (on("pass" | "frame" | "error" | ...)); index_1.html is wired up by the adapter below
+// - Uploaded references persist in a ReferenceLibrary (reference-library.js) with their
+//   ORB features + template cached, so reloads skip detectAndCompute
+// - Worker mode ({worker: true}): OpenCV and the detection pipeline run in wafer-worker.js;
+//   frames go over as transferred ImageBitmaps and are dropped while the worker is busy
+// - Multi-class: every ref carries a class label (manifest, upload folder or label field);
+//   all classes are scored and the winner is reported with its runner-up margin; close
+//   calls come out as "uncertain"
+// - Hard negatives: look-alike references (keyboards, striped packaging, ...) are scored
+//   like the classes; a positive decision is suppressed when a negative matches better
+// - Tracking (full-frame loop): a localized wafer is followed with sparse optical flow on
+//   its inlier points (track id, position, velocity); full detection only re-runs when
+//   tracking quality drops or TRACK_REDETECT_MS passed
+// - opencv.js comes from the asset base of offline-assets.js when that is loaded; a missing
+//   file or a runtime that never initializes fails "ready" (OPENCV_TIMEOUT_MS) with the URL
+
+const WAFER_OPENCV_URL = "https://docs.opencv.org/4.8.0/opencv.js";
+
+// nfeatures, scaleFactor, nlevels, edgeThreshold, firstLevel, WTA_K, scoreType, patchSize, fastThreshold
+const WAFER_ORB_PARAMS = [1000, 1.2, 6, 16, 0, 2, 0, 16, 12];
+
+// -------- Evidence fusion --------
+// Signal → 0..1 with its own threshold at 0.5 (and `full` at 1.0)
+function signalConfidence(value, thr, full) {
+  if (value === null || !(thr > 0)) return 0;
+  if (value < thr) return Math.max(0, 0.5 * value / thr);
+  return Math.min(1, 0.5 + 0.5 * (value - thr) / Math.max(1e-6, full - thr));
+}
+
+// strategy: "and" (both must agree) | "or" (either is enough) | "weighted" (weighted mean)
+function fuseConfidence(strategy, template, orb, wTemplate = 0.5, wOrb = 0.5) {
+  if (template === null) return orb; // template gate off → ORB only
+  if (strategy === "or") return Math.max(template, orb);
+  if (strategy === "weighted") return (wTemplate * template + wOrb * orb) / Math.max(1e-6, wTemplate + wOrb);
+  return Math.min(template, orb);
+}
+
+// -------- Class decision --------
+const WAFER_UNCERTAIN = "uncertain";
+
+// ranked: [{label, confidence}] best first → { label, runnerUp, margin }; the winner only
+// counts when it beats the runner-up by minMargin, otherwise the label is "uncertain"
+function classDecision(ranked, minMargin) {
+  const [winner, second] = ranked;
+  if (!winner) return { label: null, runnerUp: null, margin: 0 };
+  const margin = winner.confidence - (second ? second.confidence : 0);
+  return {
+    label: second && margin < minMargin ? WAFER_UNCERTAIN : winner.label,
+    runnerUp: second ? second.label : null,
+    margin,
+  };
+}
+
+// Shoelace area of a quad [x0,y0,...,x3,y3]
+function quadArea(quad) {
+  let a = 0;
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    a += quad[i * 2] * quad[j * 2 + 1] - quad[j * 2] * quad[i * 2 + 1];
+  }
+  return Math.abs(a) / 2;
+}
+
+function quadCenter(quad) {
+  return {
+    x: (quad[0] + quad[2] + quad[4] + quad[6]) / 4,
+    y: (quad[1] + quad[3] + quad[5] + quad[7]) / 4,
+  };
+}
+
+// A positive decision is suppressed when a negative (look-alike) reference matches better.
+// best: winning class {confidence}; negatives: ranked [{label, ref, confidence}]
+// → the rejecting negative, or null
+function negativeRejection(best, negatives, margin = 0) {
+  if (!best || best.confidence < 0.5) return null;
+  const neg = negatives[0];
+  return neg && neg.confidence > best.confidence + margin ? neg : null;
+}
+
+const WAFER_NEGATIVE_DIRS = /^(neg|negative|negatives)$/i;
+
+// "snacks/cracker/front.png" → "cracker" (the file's folder), or null without one;
+// a negative/ folder itself is no label ("negative/keyboard/a.png" → "keyboard")
+function refLabelFromPath(path) {
+  const parts = String(path || "").split("/");
+  const folder = parts.length > 1 ? parts[parts.length - 2] : null;
+  return folder && !WAFER_NEGATIVE_DIRS.test(folder) ? folder : null;
+}
 
-class WaferDetector {
-  constructor() {
+// Files below a negative/ folder are hard-negative references
+function refNegativeFromPath(path) {
+  return String(path || "").split("/").slice(0, -1).some(d => WAFER_NEGATIVE_DIRS.test(d));
+}
+
+// -------- Template pyramid helpers --------
+// Rotate by angleDeg (counter-clockwise) into a canvas that fits the whole rotated image;
+// the uncovered corners replicate the border so they add no artificial edges
+function rotateMat(src, angleDeg) {
+  const rad = angleDeg * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad)), sin = Math.abs(Math.sin(rad));
+  const w = Math.round(src.cols * cos + src.rows * sin);
+  const h = Math.round(src.cols * sin + src.rows * cos);
+  const M = cv.getRotationMatrix2D(new cv.Point(src.cols / 2, src.rows / 2), angleDeg, 1);
+  M.data64F[2] += (w - src.cols) / 2;
+  M.data64F[5] += (h - src.rows) / 2;
+  const dst = new cv.Mat();
+  cv.warpAffine(src, dst, M, new cv.Size(w, h), cv.INTER_LINEAR, cv.BORDER_REPLICATE, new cv.Scalar());
+  M.delete();
+  return dst;
+}
+
+// Corners of a w×h box centred at (cx, cy), rotated like rotateMat → [x0,y0,...,x3,y3]
+function rotatedBoxQuad(cx, cy, w, h, angleDeg) {
+  const rad = angleDeg * Math.PI / 180;
+  const a = Math.cos(rad), b = Math.sin(rad);
+  const quad = [];
+  for (const [dx, dy] of [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]]) {
+    quad.push(cx + a * dx + b * dy, cy - b * dx + a * dy);
+  }
+  return quad;
+}
+
+// -------- Ref (de)serialization helpers (8-bit Mats only) --------
+function matToRecord(mat) {
+  return { rows: mat.rows, cols: mat.cols, type: mat.type(), data: new Uint8Array(mat.data) };
+}
+
+function matFromRecord(r) {
+  const mat = new cv.Mat(r.rows, r.cols, r.type);
+  mat.data.set(r.data);
+  return mat;
+}
+
+// KeyPointVector ↔ Float32Array of [x, y, size, angle, response, octave, class_id] per point
+function keypointsToArray(kp) {
+  const out = new Float32Array(kp.size() * 7);
+  for (let i = 0; i < kp.size(); i++) {
+    const k = kp.get(i);
+    out.set([k.pt.x, k.pt.y, k.size, k.angle, k.response, k.octave, k.class_id], i * 7);
+  }
+  return out;
+}
+
+function keypointsFromArray(a) {
+  const kp = new cv.KeyPointVector();
+  for (let i = 0; i < a.length; i += 7) {
+    kp.push_back({
+      pt: { x: a[i], y: a[i + 1] }, size: a[i + 2], angle: a[i + 3],
+      response: a[i + 4], octave: a[i + 5], class_id: a[i + 6],
+    });
+  }
+  return kp;
+}
+
+// <canvas> on the page, OffscreenCanvas inside the worker
+function makeCanvas(w, h) {
+  if (typeof document === "undefined") return new OffscreenCanvas(w, h);
+  const c = document.createElement("canvas");
+  c.width = w; c.height = h;
+  return c;
+}
+
+// Main-thread fallback when no worker is used: inject opencv.js once
+// → Promise that rejects when the file cannot be loaded (never settles for an existing tag)
+function loadOpenCVScript(url) {
+  if (typeof cv !== "undefined" || typeof document === "undefined") return Promise.resolve();
+  if (document.querySelector("script[data-opencv]")) return new Promise(() => {});
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.async = true;
+    script.dataset.opencv = "";
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Cannot load opencv.js from ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+function loadImage(src, crossOrigin = false) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Cannot load image ${String(src).slice(0, 60)}`));
+    if (crossOrigin) img.crossOrigin = "anonymous";
+    img.src = src;
+  });
+}
+
+// Events: on(type, fn) → unsubscribe function (emitter.js); types in WaferDetector.EVENT_TYPES
+class WaferDetector extends (typeof Emitter !== "undefined" ? Emitter : require("./emitter.js").Emitter) {
+  // options (all optional):
+  //   source    - frame source: <video>/<canvas>/<img>/ImageBitmap, or () => one of them (null = skip)
+  //   video     - <video> the camera is attached to when no source is given (created if missing)
+  //   canvas    - render target for the live feed + quad/PASS overlay (none = no drawing)
+  //   camera    - getUserMedia video constraints
+  //   loopHz    - detection rate of the built-in loop
+  //   sessionLog - SessionLog to write to (default: new one if session-log.js is loaded)
+  //   library   - ReferenceLibrary for persistent uploads (optional)
+  //   worker    - true (wafer-worker.js) or a worker script URL: run OpenCV off the main thread
+  //   opencvUrl - opencv.js location (loaded in the worker, or injected on the page);
+  //               default: assetUrl("opencv", ...) of offline-assets.js, else the OpenCV docs CDN
+  //   UPPER_CASE keys override the tunables below (see configure)
+  constructor(options = {}) {
+    super();
     // -------- Tunables --------
     // Template-gating (instant path)
     this.INSTANT_TEMPLATE = true; // turn ON for instant gating
-    this.TMPL_SIZE = 96;          // template size (square, px)
+    this.TMPL_SIZE = 96;          // template longest side at scale 1.0 (px, aspect kept)
     this.TMPL_THR  = 0.55;        // TM_CCOEFF_NORMED threshold for instant PASS (0..1)
     this.EDGE_TMPL = false;        // use Canny edges for matching (more robust to lighting)
+    this.TMPL_SCALES = [0.6, 0.8, 1.0, 1.25, 1.6]; // pyramid scales (× TMPL_SIZE)
+    this.TMPL_ANGLES = [0, -20, 20, -40, 40];      // in-plane rotations (degrees)
+    this.TMPL_BUDGET_MS = 12;     // max template time per frame (30 Hz loop = 33 ms)
 
     // ORB fallback (runs only if instant gate didn't pass)
     this.CONF_RATIO =0.90;    // Lowe ratio
     this.MIN_GOOD_MATCHES = 3;
     this.MIN_INLIERS = 6;
 
+    // Evidence fusion → per-frame confidence 0..1 (each signal's threshold maps to 0.5)
+    this.FUSION = "and";          // "and" | "or" (skips ORB on a template hit) | "weighted"
+    this.W_TEMPLATE = 0.5;        // weights for "weighted"
+    this.W_ORB = 0.5;
+    this.ORB_FULL_INLIERS = 30;   // inliers for ORB confidence 1.0
+
+    // Classes (each class is scored with the fusion above, the best one wins)
+    this.CLASS_MARGIN = 0.15;     // winner must lead the runner-up by this, else "uncertain"
+    this.DEFAULT_LABEL = "wafer"; // class of refs loaded without a label
+
+    // Hard negatives (scored like a class, never reported as one)
+    this.NEGATIVE_LABEL = "negative"; // label of negative refs loaded without one
+    this.NEG_MARGIN = 0;          // a negative must beat the winning class by this to reject it
+
+    // Tracking (processFrame only; detectRegion crops move with the hand)
+    this.TRACKING = true;
+    this.TRACK_MIN_POINTS = 8;      // fewer surviving points → re-detect
+    this.TRACK_MIN_QUALITY = 0.4;   // surviving RANSAC inliers / seed points
+    this.TRACK_MAX_ERR = 20;        // max Lucas-Kanade error per point
+    this.TRACK_MAX_SCALE = 1.5;     // max quad area change per frame (either way)
+    this.TRACK_REDETECT_MS = 1500;  // re-detect anyway (refreshes class + confidence)
+    this.TRACK_SMOOTH = 0.5;        // velocity EMA weight of the newest frame
+
     // Smoothing/UX
-    this.SMOOTH_N = 5;            // instant = 1; increase to 2-3 if you want stability
+    this.SMOOTH_N = 5;            // confidence averaged over the last N frames (instant = 1)
+    this.ENTER_THR = 0.5;         // smoothed confidence to become "present"
+    this.EXIT_THR = 0.35;         // ... and to drop back to "not present"
+    this.HISTORY_MS = 10000;      // confidence history kept for plots / reports
     this.SHOW_DEBUG = true;
     this.EXIT_ON_PASS = false;
     this.PASS_HOLD_MS = 1000;
@@ -28,7 +262,12 @@ class WaferDetector {
     this.PROC_W = 320;
     this.PROC_H = 240;
 
-    // Default reference files (place next to HTML)
+    // OpenCV bootstrap: give up (error event) when the runtime is not up by then
+    this.OPENCV_TIMEOUT_MS = 30000;
+
+    // Default references (place next to HTML): the class manifest {label: [files]} if it
+    // exists (plus "negatives": {label: [files]}), else REF_IMAGE_FILES as a single DEFAULT_LABEL class
+    this.REF_MANIFEST = "wafer-refs.json";
     this.REF_IMAGE_FILES = [
       "wafer_ref_4.png",
       "wafer_ref_5.png",
@@ -36,29 +275,40 @@ class WaferDetector {
       "wafer_ref_2.jpg"
      ];
 
+    this.configure(options);
+
     // -------- State --------
-    this.refs = [];           // [{name, kp, des, corners, dataUrl, tmpl, res}]
-    this.hits = [];
-    this.passed = false;
+    this.refs = [];           // [{name, label, negative, kp, des, corners, dataUrl, tmpl, pyramid}]
+    this.confidences = [];    // last SMOOTH_N per-frame confidences
+    this.classWindow = [];    // last SMOOTH_N per-frame {label: confidence}
+    this.label = null;        // decided class while present (or "uncertain"), else null
+    this.lastRejected = null; // negative that suppressed the last frame {label, ref, confidence, ...}
+    this.history = [];        // [{ts, confidence, smoothed, present}] over HISTORY_MS
+    this.present = false;
     this.passStartedAt = null;
     this.isRunning = false;
     this.stream = null;
     this.lastQuad = null;     // [x0,y0,...,x3,y3] in processed coords
-
-    // -------- DOM --------
-    this.video = document.getElementById("videoElement");
-    this.canvas = document.getElementById("canvas");
-    this.ctx = this.canvas.getContext("2d");
-    this.output = document.getElementById("output");
-    this.status = document.getElementById("status");
-    this.startBtn = document.getElementById("startBtn");
-    this.stopBtn = document.getElementById("stopBtn");
-    this.refContainer = document.getElementById("refImagesContainer");
+    this.lastTemplateBox = null; // best template match {x, y, w, h, angle, scale, quad} (processed coords)
+    this.flow = null;         // optical-flow track where OpenCV runs: {id, label, quad, points, ...}
+    this.nextTrackId = 1;
+    this.lastTrack = null;    // page side: {id, label, quad, position, velocity, quality, tracked, ts}
+    // see session-log.js
+    this.sessionLog = "sessionLog" in options
+      ? options.sessionLog
+      : (typeof SessionLog !== "undefined" ? new SessionLog({ page: "wafer" }) : null);
+
+    // -------- Injected frame source / render target --------
+    this.source = options.source || null;
+    this.video = options.video || null;
+    this.canvas = options.canvas || null;
+    this.ctx = this.canvas ? this.canvas.getContext("2d") : null;
+    this.cameraConstraints = options.camera || { width: 640, height: 480, frameRate: { ideal: 30, max: 30 } };
+    this.loopHz = options.loopHz || 30;
+    this.library = options.library || null;
 
     // Processing canvas
-    this.procCanvas = document.createElement("canvas");
-    this.procCanvas.width = this.PROC_W;
-    this.procCanvas.height = this.PROC_H;
+    this.procCanvas = makeCanvas(this.PROC_W, this.PROC_H);
     this.procCtx = this.procCanvas.getContext("2d", { willReadFrequently: true });
 
     // OpenCV Mats (alloc after cv ready)
@@ -69,23 +319,72 @@ class WaferDetector {
     this.kpFrame = null;
     this.desFrame = null;
 
-    // Boot OpenCV
-    this.initializeOpenCV();
+    // Worker mode: this instance only orchestrates (refs, frames, smoothing, events)
+    const workerUrl = options.worker === true ? "wafer-worker.js" : (options.worker || null);
+    const canUseWorker = typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined";
+    this.worker = workerUrl && canUseWorker ? new WaferWorkerClient(workerUrl) : null;
+    this.busy = false;        // a detection pass is in flight (worker) → new frames are dropped
+    this.droppedFrames = 0;
+    this.isReady = false;
+
+    // Boot OpenCV (await detector.ready before detecting)
+    this.opencvUrl = options.opencvUrl
+      || (typeof assetUrl !== "undefined" ? assetUrl("opencv", "opencv.js") : WAFER_OPENCV_URL);
+    if (this.worker) {
+      this.worker.onerror = ({ stage, message }) => this._emit("error", { stage, error: new Error(message) });
+      this.ready = this.worker.call("init", {
+        opencvUrl: new URL(this.opencvUrl, location.href).href,
+        options: this._tunables(),
+      });
+    } else {
+      this.ready = this.initializeOpenCV(loadOpenCVScript(this.opencvUrl));
+    }
+    this.ready.then(() => {
+      this.isReady = true;
+      this._emit("ready", { worker: !!this.worker });
+    }, (e) => this._emit("error", { stage: "opencv", error: e }));
+  }
+
+  // -------- Tunables --------
+  // Overrides any UPPER_CASE tunable set in the constructor; other keys are ignored
+  configure(options = {}) {
+    for (const [k, v] of Object.entries(options)) {
+      if (/^[A-Z][A-Z0-9_]*$/.test(k) && k in this && v !== undefined) this[k] = v;
+    }
+    this.worker?.post("configure", { options: this._tunables() });
+  }
+
+  _tunables() {
+    return Object.fromEntries(Object.entries(this).filter(([k]) => /^[A-Z][A-Z0-9_]*$/.test(k)));
   }
 
   // -------- OpenCV bootstrap --------
-  async initializeOpenCV() {
-    const waitReady = (resolve) => {
-      if (typeof cv === "undefined") return setTimeout(() => waitReady(resolve), 100);
-      if (cv.getBuildInformation) resolve();
-      else cv.onRuntimeInitialized = resolve;
-    };
-    await new Promise(waitReady);
+  // scriptLoaded: Promise of the opencv.js <script> (rejects when the file is missing)
+  async initializeOpenCV(scriptLoaded = null) {
+    await new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) reject(error);
+        else resolve();
+      };
+      const timer = setTimeout(() => finish(new Error(
+        `opencv.js (${this.opencvUrl}) did not initialize within ${this.OPENCV_TIMEOUT_MS / 1000} s`)), this.OPENCV_TIMEOUT_MS);
+      const waitReady = () => {
+        if (settled) return;
+        if (typeof cv === "undefined") return setTimeout(waitReady, 100);
+        if (cv.getBuildInformation) finish();
+        else cv.onRuntimeInitialized = () => finish();
+      };
+      scriptLoaded?.catch(finish);
+      waitReady();
+    });
 
     // Detector + matcher (lightweight ORB)
     if (typeof cv.ORB.create === "function") {
-      // nfeatures, scaleFactor, nlevels, edgeThreshold, firstLevel, WTA_K, scoreType, patchSize, fastThreshold
-      this.detector = cv.ORB.create(1000, 1.2, 6, 16, 0, 2, 0, 16, 12);
+      this.detector = cv.ORB.create(...WAFER_ORB_PARAMS);
     } else {
       this.detector = new cv.ORB(800);
     }
@@ -98,282 +397,448 @@ class WaferDetector {
 
     this.kpFrame = new cv.KeyPointVector();
     this.desFrame = new cv.Mat();
+    this.tmplRes = new cv.Mat(); // matchTemplate output, reallocated per template size
+    this.prevGray = new cv.Mat(this.PROC_H, this.PROC_W, cv.CV_8UC1); // optical-flow reference
 
     console.log("OpenCV.js ready (instant template gate enabled).");
   }
 
-  // -------- Settings from UI (optional) --------
-  updateSettings() {
+  // -------- Reference images --------
+  _clearRefs() {
+    this.refs.forEach(r => this._deleteRef(r));
+    this.refs = [];
+    this.flow = null;
+  }
+
+  // Class labels of the active (positive) refs, in load order
+  labels() {
+    return [...new Set(this.refs.filter(r => !r.negative).map(r => r.label))];
+  }
+
+  negativeLabels() {
+    return [...new Set(this.refs.filter(r => r.negative).map(r => r.label))];
+  }
+
+  // → "refs" event: { refs: [{name, label, negative, dataUrl, libraryId}], labels, negatives, requested, source }
+  _emitRefs(requested, source) {
+    const refs = this.refs.map(r => ({
+      name: r.name, label: r.label, negative: r.negative, dataUrl: r.dataUrl, libraryId: r.libraryId ?? null,
+    }));
+    this._emit("refs", { refs, labels: this.labels(), negatives: this.negativeLabels(), requested, source });
+  }
+
+  // files: names or {file, label, negative}; default: REF_MANIFEST, else REF_IMAGE_FILES
+  async loadReferenceImages(files = null) {
+    const entries = files
+      ? files.map(f => (typeof f === "string" ? { file: f, label: null } : f))
+      : (await this._loadManifest()) || this.REF_IMAGE_FILES.map(file => ({ file, label: null }));
+    const inputs = await Promise.all(entries.map(async ({ file, label, negative = false }) => {
+      try {
+        return { ...this._decodeImage(await loadImage("./" + file, true), file), label, negative };
+      } catch (e) {
+        if (!/^Cannot load image/.test(e.message)) console.error("Ref load err:", e);
+        return null;
+      }
+    }));
+    await this._installRefs(inputs.filter(Boolean));
+    console.log(`Loaded ${this.refs.length} reference images (${this.labels().join(", ")})`);
+    this._emitRefs(entries.length, "files");
+  }
+
+  // REF_MANIFEST ({"wafer": ["wafer_ref_4.png"], "cracker": ["refs/cracker_1.png"],
+  // "negatives": {"keyboard": ["refs/keyboard.png"]}}) → [{file, label, negative}], or null
+  // when there is none; "negatives" may also be a plain file list (NEGATIVE_LABEL)
+  async _loadManifest() {
+    if (!this.REF_MANIFEST) return null;
     try {
-      const confRatio = document.getElementById("confRatio");
-      const minGood = document.getElementById("minGoodMatches");
-      const minInliers = document.getElementById("minInliers");
-      const smoothFrames = document.getElementById("smoothFrames");
-      if (confRatio) this.CONF_RATIO = parseFloat(confRatio.value);
-      if (minGood) this.MIN_GOOD_MATCHES = parseInt(minGood.value);
-      if (minInliers) this.MIN_INLIERS = parseInt(minInliers.value);
-      if (smoothFrames) this.SMOOTH_N = parseInt(smoothFrames.value);
-    } catch {}
+      const res = await fetch(this.REF_MANIFEST, { cache: "no-cache" });
+      if (!res.ok) return null;
+      const { negatives = {}, ...classes } = await res.json();
+      const entries = (map, negative) => Object.entries(map)
+        .flatMap(([label, files]) => [].concat(files).map(file => ({ file, label, negative })));
+      return [
+        ...entries(classes, false),
+        ...entries(Array.isArray(negatives) ? { [this.NEGATIVE_LABEL]: negatives } : negatives, true),
+      ];
+    } catch (e) {
+      // file:// pages cannot fetch; a broken manifest is worth reporting
+      if (e instanceof SyntaxError) this._emit("error", { stage: "manifest", error: e });
+      return null;
+    }
   }
 
-  // -------- Reference images --------
-  async loadReferenceImages() {
-    // cleanup old
-    this.refs.forEach(r => {
+  // Uploads replace the refs; with a library they are stored and the enabled set is reloaded.
+  // label: class for every file; otherwise the file's folder (directory upload) or DEFAULT_LABEL
+  // negative: register the files as hard negatives (also implied by a negative/ folder)
+  async loadCustomReferenceImages(files, label = null, negative = false) {
+    const inputs = [];
+    for (const file of files) {
+      if (file.type && !file.type.startsWith("image/")) continue; // other files in a folder
+      const url = URL.createObjectURL(file);
       try {
-        r.kp?.delete(); r.des?.delete(); r.corners?.delete?.();
-        r.tmpl?.delete(); r.res?.delete?.();
-      } catch {}
-    });
-    this.refs = [];
-    if (this.refContainer) this.refContainer.innerHTML = "";
-
-    const results = await Promise.allSettled(this.REF_IMAGE_FILES.map(f => this._loadRefFromPath(f, f)));
-    let loaded = 0;
-    for (const res of results) {
-      if (res.status === "fulfilled" && res.value) {
-        this.refs.push(res.value);
-        loaded++;
-        if (this.refContainer && res.value.dataUrl) {
-          const img = document.createElement("img");
-          img.src = res.value.dataUrl;
-          img.className = "ref-image";
-          img.title = res.value.name;
-          this.refContainer.appendChild(img);
+        const fileLabel = label || refLabelFromPath(file.webkitRelativePath);
+        const fileNegative = negative || refNegativeFromPath(file.webkitRelativePath);
+        inputs.push({ ...this._decodeImage(await loadImage(url), file.name), label: fileLabel, negative: fileNegative });
+      } catch (e) {
+        this._emit("error", { stage: "reference", name: file.name, error: e });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    await this._installRefs(inputs);
+
+    if (this.library) {
+      for (const ref of this.refs) {
+        try {
+          await this.library.add(this.serializeRef(ref));
+        } catch (e) {
+          this._emit("error", { stage: "library", name: ref.name, error: e });
         }
       }
+      console.log(`Stored ${this.refs.length} custom refs in the library`);
+      await this.loadLibraryReferences();
+      return;
     }
-    console.log(`Loaded ${loaded} reference images`);
+
+    console.log(`Loaded ${this.refs.length} custom refs`);
+    this._emitRefs(files.length, "upload");
   }
 
-  async _loadRefFromPath(imagePath, name) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const c = document.createElement("canvas");
-          const g = c.getContext("2d");
-          c.width = img.width; c.height = img.height;
-          g.drawImage(img, 0, 0);
-
-          const id = g.getImageData(0, 0, c.width, c.height);
-          const src = cv.matFromImageData(id);
-          const gray = new cv.Mat();
-          cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-
-          // ORB features
-          const kp = new cv.KeyPointVector();
-          const des = new cv.Mat();
-          this.detector.detectAndCompute(gray, new cv.Mat(), kp, des);
-
-          if (!des || des.rows < 8) {
-            console.warn(`[ref weak] ${name}`);
-            src.delete(); gray.delete(); kp?.delete(); des?.delete();
-            resolve(null);
-            return;
-          }
+  // Image → ref input { name, imageData, dataUrl, width, height } (page side)
+  _decodeImage(img, name) {
+    const c = makeCanvas(img.width, img.height);
+    const g = c.getContext("2d");
+    g.drawImage(img, 0, 0);
+    return {
+      name,
+      imageData: g.getImageData(0, 0, c.width, c.height),
+      dataUrl: c.toDataURL(),
+      width: c.width,
+      height: c.height,
+    };
+  }
 
-          // Corners (for homography visualization)
-          const corners = cv.matFromArray(4, 1, cv.CV_32FC2, [
-            0, 0, c.width, 0,
-            c.width, c.height, 0, c.height
-          ]);
-
-          // --- Template for instant gate ---
-          let tmpl = new cv.Mat();
-          const size = new cv.Size(this.TMPL_SIZE, this.TMPL_SIZE);
-          cv.resize(gray, tmpl, size, 0, 0, cv.INTER_AREA);
-          if (this.EDGE_TMPL) {
-            const edges = new cv.Mat();
-            cv.Canny(tmpl, edges, 50, 150, 3, false);
-            tmpl.delete();
-            tmpl = edges;
-          }
-          // Preallocate result mat for matchTemplate (depends on frame size and tmpl size)
-          const resW = this.PROC_W - tmpl.cols + 1;
-          const resH = this.PROC_H - tmpl.rows + 1;
-          const res = new cv.Mat(resH, resW, cv.CV_32FC1);
+  // inputs: [{name, label, negative, imageData, ...} (build) | {name, label, negative, width, height, features, ...} (cached)]
+  // → this.refs; OpenCV objects live where OpenCV runs, so in worker mode the page keeps
+  //   only {name, label, negative, dataUrl, width, height, libraryId, features}
+  async _installRefs(inputs) {
+    await this.ready;
+    this._clearRefs();
+    inputs = inputs.map(input => ({
+      ...input,
+      negative: !!input.negative,
+      label: input.label || (input.negative ? this.NEGATIVE_LABEL : this.DEFAULT_LABEL),
+    }));
+    if (this.worker) {
+      const { refs } = await this.worker.call("refs", { refs: inputs.map(({ dataUrl, ...r }) => r) });
+      inputs.forEach((input, i) => {
+        if (!refs[i]) return;
+        const { name, label, negative, dataUrl, width, height, libraryId = null } = input;
+        this.refs.push({ name, label, negative, dataUrl, width, height, libraryId, features: refs[i].features });
+      });
+      return inputs.map((_, i) => refs[i]);
+    }
+    return inputs.map((input) => {
+      const ref = input.features ? this._refFromFeatures(input) : this._buildRef(input);
+      if (!ref) return null;
+      Object.assign(ref, {
+        label: input.label, negative: input.negative, dataUrl: input.dataUrl ?? null, libraryId: input.libraryId ?? null,
+      });
+      this.refs.push(ref);
+      return ref;
+    });
+  }
 
-          const dataUrl = c.toDataURL();
+  // ImageData → ref with ORB features + instant-gate template pyramid, or null if too weak
+  _buildRef({ name, imageData }) {
+    const src = cv.matFromImageData(imageData);
+    const gray = new cv.Mat();
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+    // ORB features
+    const kp = new cv.KeyPointVector();
+    const des = new cv.Mat();
+    this.detector.detectAndCompute(gray, new cv.Mat(), kp, des);
+
+    if (!des || des.rows < 8) {
+      console.warn(`[ref weak] ${name}`);
+      src.delete(); gray.delete(); kp?.delete(); des?.delete();
+      return null;
+    }
 
-          src.delete(); gray.delete();
+    // --- Master template for the instant gate (gray, aspect kept, at the largest scale) ---
+    const tmpl = new cv.Mat();
+    const f = this._masterTemplateSize() / Math.max(gray.cols, gray.rows);
+    const size = new cv.Size(Math.max(1, Math.round(gray.cols * f)), Math.max(1, Math.round(gray.rows * f)));
+    cv.resize(gray, tmpl, size, 0, 0, cv.INTER_AREA);
+    src.delete(); gray.delete();
+
+    return {
+      name, kp, des, tmpl,
+      width: imageData.width, height: imageData.height,
+      corners: this._refCorners(imageData.width, imageData.height),
+      pyramid: this._buildPyramid(tmpl),
+    };
+  }
 
-          resolve({ name, kp, des, corners, tmpl, res, dataUrl });
-        } catch (e) {
-          console.error("Ref load err:", e);
-          resolve(null);
-        }
-      };
-      img.onerror = () => resolve(null);
-      img.crossOrigin = "anonymous";
-      img.src = "./" + imagePath;
-    });
+  // Cached features (library record) → ref
+  _refFromFeatures({ name, width, height, features }) {
+    const tmpl = matFromRecord(features.template);
+    return {
+      name, width, height, tmpl, features,
+      kp: keypointsFromArray(features.keypoints),
+      des: matFromRecord(features.descriptors),
+      corners: this._refCorners(width, height),
+      pyramid: this._buildPyramid(tmpl),
+    };
   }
 
-  async loadCustomReferenceImages(files) {
-    // cleanup old
-    this.refs.forEach(r => {
-      try {
-        r.kp?.delete(); r.des?.delete(); r.corners?.delete?.();
-        r.tmpl?.delete(); r.res?.delete?.();
-      } catch {}
-    });
-    this.refs = [];
-    if (this.refContainer) this.refContainer.innerHTML = "";
+  _masterTemplateSize() {
+    return Math.round(this.TMPL_SIZE * Math.max(1, ...this.TMPL_SCALES));
+  }
 
-    for (const file of files) {
-      const ref = await this._processRefFile(file);
-      if (ref) {
-        this.refs.push(ref);
-        if (this.refContainer && ref.dataUrl) {
-          const img = document.createElement("img");
-          img.src = ref.dataUrl;
-          img.className = "ref-image";
-          img.title = file.name;
-          this.refContainer.appendChild(img);
+  // Master template → [{tmpl, scale, angle, w, h}] (w/h: unrotated size at that scale);
+  // variants larger than the processing frame are skipped
+  _buildPyramid(master) {
+    const pyramid = [];
+    const longest = Math.max(master.cols, master.rows);
+    for (const scale of this.TMPL_SCALES) {
+      const side = this.TMPL_SIZE * scale;
+      const w = Math.max(8, Math.round(master.cols * side / longest));
+      const h = Math.max(8, Math.round(master.rows * side / longest));
+      const scaled = new cv.Mat();
+      cv.resize(master, scaled, new cv.Size(w, h), 0, 0, cv.INTER_AREA);
+      for (const angle of this.TMPL_ANGLES) {
+        let tmpl = angle ? rotateMat(scaled, angle) : scaled.clone();
+        if (tmpl.cols > this.PROC_W || tmpl.rows > this.PROC_H) {
+          tmpl.delete();
+          continue;
         }
+        if (this.EDGE_TMPL) {
+          const edges = new cv.Mat();
+          cv.Canny(tmpl, edges, 50, 150, 3, false);
+          tmpl.delete();
+          tmpl = edges;
+        }
+        pyramid.push({ tmpl, scale, angle, w, h });
       }
+      scaled.delete();
     }
-    console.log(`Loaded ${this.refs.length} custom refs`);
+    return pyramid;
   }
 
-  _processRefFile(file) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const c = document.createElement("canvas");
-          const g = c.getContext("2d");
-          c.width = img.width; c.height = img.height;
-          g.drawImage(img, 0, 0);
-
-          const id = g.getImageData(0, 0, c.width, c.height);
-          const src = cv.matFromImageData(id);
-          const gray = new cv.Mat();
-          cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-
-          const kp = new cv.KeyPointVector();
-          const des = new cv.Mat();
-          this.detector.detectAndCompute(gray, new cv.Mat(), kp, des);
-
-          if (!des || des.rows < 8) {
-            console.warn(`[ref weak] ${file.name}`);
-            src.delete(); gray.delete(); kp?.delete(); des?.delete();
-            resolve(null);
-            return;
-          }
+  // Search order: start at the variant that matched last, then its neighbours, so the
+  // budget is spent where the wafer most likely is
+  _templateOrder() {
+    const last = this.lastTemplateBox;
+    const order = [];
+    for (const ref of this.refs) {
+      for (const v of ref.pyramid || []) {
+        const cost = last
+          ? Math.abs(Math.log(v.scale / last.scale)) + Math.abs(v.angle - last.angle) / 40
+          : Math.abs(Math.log(v.scale)) + Math.abs(v.angle) / 40;
+        order.push({ ref, v, cost });
+      }
+    }
+    return order.sort((a, b) => a.cost - b.cost);
+  }
 
-          const corners = cv.matFromArray(4, 1, cv.CV_32FC2, [
-            0, 0, c.width, 0,
-            c.width, c.height, 0, c.height
-          ]);
-
-          // Template
-          let tmpl = new cv.Mat();
-          const size = new cv.Size(this.TMPL_SIZE, this.TMPL_SIZE);
-          cv.resize(gray, tmpl, size, 0, 0, cv.INTER_AREA);
-          if (this.EDGE_TMPL) {
-            const edges = new cv.Mat();
-            cv.Canny(tmpl, edges, 50, 150, 3, false);
-            tmpl.delete();
-            tmpl = edges;
-          }
-          const resW = this.PROC_W - tmpl.cols + 1;
-          const resH = this.PROC_H - tmpl.rows + 1;
-          const res = new cv.Mat(resH, resW, cv.CV_32FC1);
+  // Corners (for homography visualization)
+  _refCorners(w, h) {
+    return cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, w, 0, w, h, 0, h]);
+  }
 
-          const dataUrl = c.toDataURL();
+  _deleteRef(r) {
+    try {
+      r.kp?.delete(); r.des?.delete(); r.corners?.delete?.();
+      r.tmpl?.delete();
+      r.pyramid?.forEach(v => v.tmpl.delete());
+    } catch {}
+  }
 
-          src.delete(); gray.delete();
+  // -------- Reference library (reference-library.js) --------
+  // Cached features are only valid for the same ORB params / template settings
+  featureSignature() {
+    return `orb:${WAFER_ORB_PARAMS.join(",")}|tmpl:${this._masterTemplateSize()}`;
+  }
 
-          resolve({ name: file.name, kp, des, corners, tmpl, res, dataUrl });
-        } catch (e) { reject(e); }
-      };
-      img.onerror = reject;
-      img.src = URL.createObjectURL(file);
-    });
+  // Ref → library record fields (worker mode: features came back from the worker)
+  serializeRef(ref) {
+    return {
+      name: ref.name,
+      label: ref.label,
+      negative: !!ref.negative,
+      width: ref.width,
+      height: ref.height,
+      image: ref.dataUrl,
+      features: ref.features || {
+        signature: this.featureSignature(),
+        keypoints: keypointsToArray(ref.kp),
+        descriptors: matToRecord(ref.des),
+        template: matToRecord(ref.tmpl),
+      },
+    };
+  }
+
+  // Enabled library references become the active set → number loaded; cached features
+  // are reused when their signature matches, otherwise recomputed and written back.
+  // library: another ReferenceLibrary to read from (e.g. the evaluation page, which keeps
+  // its own uploads out of the library)
+  async loadLibraryReferences(library = this.library) {
+    if (!library) return 0;
+    const signature = this.featureSignature();
+    const records = (await library.list()).filter(r => r.enabled);
+    const inputs = [];
+    const stale = new Set();
+    for (const r of records) {
+      if (r.features?.signature === signature) {
+        inputs.push({
+          name: r.name, label: r.label, negative: r.negative, width: r.width, height: r.height,
+          features: r.features, dataUrl: r.image, libraryId: r.id,
+        });
+        continue;
+      }
+      try {
+        inputs.push({ ...this._decodeImage(await loadImage(r.image), r.name), label: r.label, negative: r.negative, libraryId: r.id });
+        stale.add(r.id);
+      } catch (e) {
+        this._emit("error", { stage: "library", name: r.name, error: e });
+      }
+    }
+    await this._installRefs(inputs);
+
+    for (const ref of this.refs) {
+      if (!stale.has(ref.libraryId)) continue;
+      try {
+        await library.update(ref.libraryId, { features: this.serializeRef(ref).features });
+      } catch (e) {
+        this._emit("error", { stage: "library", name: ref.name, error: e });
+      }
+    }
+    console.log(`Loaded ${this.refs.length} library refs`);
+    this._emitRefs(records.length, "library");
+    return this.refs.length;
   }
 
   // -------- Start/Stop --------
+  // Built-in loop over the injected source, or the camera when there is none
   async startDetection() {
-    if (!this.refs.length) {
-      alert("Load reference images first.");
+    if (this.isRunning) return;
+    if (!this.labels().length) {
+      this._emit("error", { stage: "start", error: new Error("Load reference images first.") });
       return;
     }
     try {
-      this.stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 640, height: 480, frameRate: { ideal: 30, max: 30 } }
-      });
-      this.video.srcObject = this.stream;
-
-      this.video.onloadedmetadata = () => {
-        this.isRunning = true;
-        this.passed = false;
-        this.passStartedAt = null;
-        this.hits = [];
-        this.lastQuad = null;
-
-        this.updateSettings();
-        this.startBtn && (this.startBtn.disabled = true);
-        this.stopBtn && (this.stopBtn.disabled = false);
-
-        this._startLiveFeed();
-        this._startDetectionLoop();
-      };
+      await this.ready;
+      if (!this.source) {
+        this.video ||= Object.assign(document.createElement("video"), { muted: true, playsInline: true });
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: this.cameraConstraints });
+        this.video.srcObject = this.stream;
+        await new Promise(resolve => { this.video.onloadedmetadata = resolve; });
+        await this.video.play?.().catch(() => {});
+      }
     } catch (e) {
       console.error("camera err:", e);
-      alert("Camera error. Check permissions or device.");
+      this._emit("error", { stage: "camera", error: e });
+      return;
     }
+
+    this.isRunning = true;
+    this.resetDecision();
+    this.sessionLog?.add("start", {
+      refs: this.refs.length,
+      labels: this.labels().join("|"),
+      negatives: this.negativeLabels().join("|"),
+      classMargin: this.CLASS_MARGIN,
+      confRatio: this.CONF_RATIO,
+      minGoodMatches: this.MIN_GOOD_MATCHES,
+      minInliers: this.MIN_INLIERS,
+      smoothN: this.SMOOTH_N,
+      templateThr: this.TMPL_THR,
+      fusion: this.FUSION,
+      enterThr: this.ENTER_THR,
+      exitThr: this.EXIT_THR,
+    });
+    this._emit("start", { camera: !!this.stream });
+
+    if (this.ctx) this._startLiveFeed();
+    this._startDetectionLoop();
   }
 
   stopDetection() {
+    const wasRunning = this.isRunning;
+    if (wasRunning) this.sessionLog?.add("stop", { present: this.present });
     this.isRunning = false;
     if (this.stream) {
       this.stream.getTracks().forEach(t => t.stop());
       this.stream = null;
     }
-    this.startBtn && (this.startBtn.disabled = false);
-    this.stopBtn && (this.stopBtn.disabled = true);
-    this.updateStatus(false, { inliers: 0 }, false);
-    this.updateOutput("0");
     this.lastQuad = null;
+    this.lastTrack = null;
+    if (wasRunning) this._emit("stop", { present: this.present });
+  }
+
+  // Smoothing window + hysteresis state (start of a new run)
+  resetDecision() {
+    this.present = false;
+    this.passStartedAt = null;
+    this.confidences = [];
+    this.classWindow = [];
+    this.label = null;
+    this.lastRejected = null;
+    this.history = [];
+    this.lastQuad = null;
+    this.lastTemplateBox = null;
+    this.lastTrack = null;
+    this.resetTracking();
+  }
+
+  // Drop the optical-flow track (next frame runs full detection)
+  resetTracking() {
+    this.flow = null;
+    this.worker?.post("reset");
+  }
+
+  // Current frame of the injected source / camera video, or null if none is ready
+  _currentSource() {
+    const src = typeof this.source === "function" ? this.source() : (this.source || this.video);
+    if (!src) return null;
+    if (typeof HTMLVideoElement !== "undefined" && src instanceof HTMLVideoElement && src.readyState < 2) return null;
+    return src;
   }
 
   // -------- Loops --------
   _startLiveFeed() {
     const draw = () => {
       if (!this.isRunning) return;
+      const src = this._currentSource();
 
       // draw camera
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-
-      // draw quad
-      if (this.SHOW_DEBUG && this.lastQuad) {
-        const sx = this.canvas.width / this.PROC_W;
-        const sy = this.canvas.height / this.PROC_H;
-        this.ctx.strokeStyle = "rgb(0,255,0)";
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
-        for (let i = 0; i < 4; i++) {
-          const x = this.lastQuad[i * 2] * sx;
-          const y = this.lastQuad[i * 2 + 1] * sy;
-          if (i === 0) this.ctx.moveTo(x, y);
-          else this.ctx.lineTo(x, y);
-        }
-        this.ctx.closePath();
-        this.ctx.stroke();
+      if (src) this.ctx.drawImage(src, 0, 0, this.canvas.width, this.canvas.height);
+
+      // draw quad (ORB homography) + best template box
+      if (this.SHOW_DEBUG && this.lastQuad) this._drawQuad(this.lastQuad, "rgb(0,255,0)");
+      if (this.SHOW_DEBUG && this.lastTemplateBox && !this.lastTrack?.tracked) {
+        this._drawQuad(this.lastTemplateBox.quad, "rgb(0,200,255)");
       }
+      if (this.SHOW_DEBUG && this.lastTrack) this._drawTrack(this.lastTrack);
+
+      if (this.SHOW_DEBUG) this._drawConfidence();
 
       // PASS overlay
-      if (this.passed) {
+      if (this.present) {
         this.ctx.fillStyle = "rgba(0, 255, 0, 0.35)";
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.fillStyle = "rgb(0,255,0)";
         this.ctx.font = "bold 40px Arial";
         this.ctx.fillText("PASS", 20, 60);
         this.ctx.font = "bold 16px Arial";
-        this.ctx.fillText("Wafer detected", 20, 90);
+        this.ctx.fillText(this.label === WAFER_UNCERTAIN ? "Product uncertain" : `${this.label} detected`, 20, 90);
+      } else if (this.lastRejected) {
+        this.ctx.fillStyle = "rgb(255,60,60)";
+        this.ctx.font = "bold 16px Arial";
+        this.ctx.fillText(`Rejected: looks like ${this.lastRejected.label}`, 20, 30);
       }
 
       requestAnimationFrame(draw);
@@ -381,139 +846,632 @@ class WaferDetector {
     requestAnimationFrame(draw);
   }
 
-  _startDetectionLoop() {
-    let lastTS = 0;
-    const targetDelta = 1000 / 30; // ~30Hz compute
+  // quad: [x0,y0,...,x3,y3] in processed coords
+  _drawQuad(quad, color) {
+    const sx = this.canvas.width / this.PROC_W;
+    const sy = this.canvas.height / this.PROC_H;
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+    for (let i = 0; i < 4; i++) {
+      const x = quad[i * 2] * sx;
+      const y = quad[i * 2 + 1] * sy;
+      if (i === 0) this.ctx.moveTo(x, y);
+      else this.ctx.lineTo(x, y);
+    }
+    this.ctx.closePath();
+    this.ctx.stroke();
+  }
 
-    const loop = (ts) => {
-      if (!this.isRunning) return;
-      if (ts - lastTS < targetDelta) return requestAnimationFrame(loop);
-      lastTS = ts;
+  // Tracked quad + id and a velocity arrow (0.25 s ahead)
+  _drawTrack(t) {
+    this._drawQuad(t.quad, "rgb(255,0,255)");
+    const c = this.ctx;
+    const x = t.position.x * this.canvas.width, y = t.position.y * this.canvas.height;
+    c.strokeStyle = "rgb(255,0,255)";
+    c.beginPath();
+    c.moveTo(x, y);
+    c.lineTo(x + t.velocity.x * this.canvas.width * 0.25, y + t.velocity.y * this.canvas.height * 0.25);
+    c.stroke();
+    c.fillStyle = "rgb(255,0,255)";
+    c.font = "bold 14px Arial";
+    c.fillText(`#${t.id}${t.tracked ? "" : " (detect)"}`, x + 6, y - 6);
+  }
 
-      try {
-        // 1) get downscaled frame
-        this.procCtx.drawImage(this.video, 0, 0, this.PROC_W, this.PROC_H);
-        const id = this.procCtx.getImageData(0, 0, this.PROC_W, this.PROC_H);
+  // Confidence history plot (bottom-right) with the enter/exit thresholds
+  _drawConfidence() {
+    const w = 200, h = 60;
+    const x0 = this.canvas.width - w - 10, y0 = this.canvas.height - h - 10;
+    const c = this.ctx;
+    c.fillStyle = "rgba(0, 0, 0, 0.5)";
+    c.fillRect(x0, y0, w, h);
+    const yOf = (v) => y0 + h - v * h;
+    c.lineWidth = 1;
+    for (const [thr, color] of [[this.ENTER_THR, "rgba(0,255,0,0.6)"], [this.EXIT_THR, "rgba(255,200,0,0.6)"]]) {
+      c.strokeStyle = color;
+      c.beginPath(); c.moveTo(x0, yOf(thr)); c.lineTo(x0 + w, yOf(thr)); c.stroke();
+    }
+    if (this.history.length > 1) {
+      const tEnd = this.history[this.history.length - 1].ts;
+      c.strokeStyle = "#ffffff";
+      c.beginPath();
+      this.history.forEach((p, i) => {
+        const x = x0 + w - (tEnd - p.ts) / this.HISTORY_MS * w;
+        if (i === 0) c.moveTo(x, yOf(p.smoothed)); else c.lineTo(x, yOf(p.smoothed));
+      });
+      c.stroke();
+    }
+    const last = this.history[this.history.length - 1];
+    c.fillStyle = "#ffffff";
+    c.font = "12px Arial";
+    c.fillText(`conf ${last ? last.smoothed.toFixed(2) : "–"} (${this.FUSION})`, x0 + 4, y0 + 14);
+  }
 
-        // 2) RGBA -> Gray (+ Edge for template)
-        this.frameRGBA.data.set(id.data);
-        cv.cvtColor(this.frameRGBA, this.frameGray, cv.COLOR_RGBA2GRAY);
-        if (this.EDGE_TMPL) {
-          cv.Canny(this.frameGray, this.frameEdge, 50, 150, 3, false);
-        }
+  // -------- Region detection (embedded use, e.g. the eating page) --------
+  // Runs one detection pass on a crop of `source` (video/canvas/image).
+  // rect: {x, y, w, h} in source pixels; the crop is scaled to PROC_W x PROC_H,
+  // so callers should pass a 4:3 rect to avoid distorting the wafer.
+  // → Promise of _detectProcFrame result + ref + box (best template quad in source pixels),
+  //   or null when not ready / the previous pass is still running (frame dropped)
+  async detectRegion(source, rect) {
+    if (!this.isReady || !this.labels().length) return null;
+    if (this.busy) {
+      this.droppedFrames++;
+      return null;
+    }
+    this.busy = true;
+    let r;
+    try {
+      r = await this._detect(source, rect);
+    } finally {
+      this.busy = false;
+    }
+    const sx = rect.w / this.PROC_W, sy = rect.h / this.PROC_H;
+    const box = r.templateBox && {
+      quad: r.templateBox.quad.map((v, i) => i % 2 ? rect.y + v * sy : rect.x + v * sx),
+      scale: r.templateBox.scale,
+      angle: r.templateBox.angle,
+    };
+    return { ...r, ref: r.bestOrbRef || r.bestTemplateRef, box };
+  }
 
-        let waferPresent = false;
-        let bestInliers = 0;
-        let bestQuad = null;
-        let templateHit = false;
+  // One pass over (a crop of) `source`, scaled to PROC_W x PROC_H: in the worker when there
+  // is one (frame transferred as an ImageBitmap, or ImageData where resizing bitmaps fails).
+  // track: follow / start an optical-flow track (consecutive full frames only)
+  async _detect(source, rect = null, track = false) {
+    if (!this.worker) return this._detectLocal(source, rect, track);
+    const opts = { resizeWidth: this.PROC_W, resizeHeight: this.PROC_H, resizeQuality: "low" };
+    let frame;
+    try {
+      frame = rect
+        ? await createImageBitmap(source, rect.x, rect.y, rect.w, rect.h, opts)
+        : await createImageBitmap(source, opts);
+    } catch {
+      this._drawProc(source, rect);
+      frame = this.procCtx.getImageData(0, 0, this.PROC_W, this.PROC_H);
+    }
+    const transfer = frame instanceof ImageBitmap ? [frame] : [frame.data.buffer];
+    const { result } = await this.worker.call("detect", { frame, track }, transfer);
+    return result;
+  }
 
-        // -------- INSTANT TEMPLATE GATE --------
-        if (this.INSTANT_TEMPLATE) {
-          const srcForMatch = this.EDGE_TMPL ? this.frameEdge : this.frameGray;
-          for (const ref of this.refs) {
-            if (!ref.tmpl || !ref.res) continue;
-            cv.matchTemplate(srcForMatch, ref.tmpl, ref.res, cv.TM_CCOEFF_NORMED);
-            const mm = cv.minMaxLoc(ref.res);
-            console.log(`[TEMPLATE] ${ref.name} maxVal=${mm.maxVal.toFixed(3)} thr=${this.TMPL_THR}`);
-            if (mm.maxVal >= this.TMPL_THR) {  
-            templateHit = true; // instant PASS
+  // Same pass on this thread (no worker, or inside the worker itself)
+  _detectLocal(source, rect = null, track = false) {
+    if (typeof ImageData !== "undefined" && source instanceof ImageData) {
+      this.procCtx.putImageData(source, 0, 0);
+    } else {
+      this._drawProc(source, rect);
     }
+    return this._detectProcFrame(track);
+  }
 
-          }
+  _drawProc(source, rect) {
+    this.procCtx.clearRect(0, 0, this.PROC_W, this.PROC_H);
+    if (rect) this.procCtx.drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, this.PROC_W, this.PROC_H);
+    else this.procCtx.drawImage(source, 0, 0, this.PROC_W, this.PROC_H);
+  }
+
+  // One detection pass over the current procCanvas contents (PROC_W x PROC_H).
+  // track: while a track holds, optical flow replaces template + ORB for this frame
+  _detectProcFrame(track = false) {
+    const id = this.procCtx.getImageData(0, 0, this.PROC_W, this.PROC_H);
+
+    // RGBA -> Gray (+ Edge for template)
+    this.frameRGBA.data.set(id.data);
+    cv.cvtColor(this.frameRGBA, this.frameGray, cv.COLOR_RGBA2GRAY);
+
+    // -------- TRACKING (skips detection while the quad follows the points) --------
+    if (track && this.flow && this._trackFlow()) {
+      this.frameGray.copyTo(this.prevGray);
+      return {
+        ...this.flow.result,
+        tracked: true,
+        bestQuad: this.flow.quad,
+        templateBox: null,
+        templateVariants: 0,
+        templateBudgetHit: false,
+        track: this._flowInfo(),
+      };
+    }
+
+    if (this.EDGE_TMPL) {
+      cv.Canny(this.frameGray, this.frameEdge, 50, 150, 3, false);
+    }
+
+    // Evidence per class (negatives: per negative label); early exits apply per class so
+    // every class gets scored
+    const classes = {};
+    const rejects = {};
+    const evidence = (ref) => (ref.negative ? rejects : classes)[ref.label];
+    for (const ref of this.refs) {
+      (ref.negative ? rejects : classes)[ref.label] ||= {
+        label: ref.label, negative: ref.negative, templateScore: null, templateRef: null, templateBox: null,
+        templateHit: false, inliers: 0, orbRef: null, quad: null, points: null,
+      };
+    }
+
+    let templateVariants = 0;
+    let templateBudgetHit = false;
+
+    // -------- INSTANT TEMPLATE GATE (scale/rotation pyramid, time-budgeted) --------
+    if (this.INSTANT_TEMPLATE) {
+      const srcForMatch = this.EDGE_TMPL ? this.frameEdge : this.frameGray;
+      const t0 = performance.now();
+      for (const { ref, v } of this._templateOrder()) {
+        const cls = evidence(ref);
+        if (cls.templateHit) continue; // class already passed
+        if (templateVariants > 0 && performance.now() - t0 > this.TMPL_BUDGET_MS) {
+          templateBudgetHit = true;
+          break;
+        }
+        cv.matchTemplate(srcForMatch, v.tmpl, this.tmplRes, cv.TM_CCOEFF_NORMED);
+        const mm = cv.minMaxLoc(this.tmplRes);
+        templateVariants++;
+        if (!Number.isFinite(mm.maxVal)) continue;
+        if (cls.templateScore === null || mm.maxVal > cls.templateScore) {
+          cls.templateScore = mm.maxVal;
+          cls.templateRef = ref.name;
+          const cx = mm.maxLoc.x + v.tmpl.cols / 2, cy = mm.maxLoc.y + v.tmpl.rows / 2;
+          cls.templateBox = {
+            x: cx, y: cy, w: v.w, h: v.h, angle: v.angle, scale: v.scale,
+            quad: rotatedBoxQuad(cx, cy, v.w, v.h, v.angle),
+          };
         }
+        if (mm.maxVal >= this.TMPL_THR) cls.templateHit = true; // instant PASS for this class
+      }
+      for (const cls of [...Object.values(classes), ...Object.values(rejects)]) {
+        if (!cls.templateBox) continue;
+        console.log(`[TEMPLATE] ${cls.negative ? "negative " : ""}${cls.label}: ${cls.templateRef} maxVal=${cls.templateScore.toFixed(3)} thr=${this.TMPL_THR} ` +
+          `scale=${cls.templateBox.scale} angle=${cls.templateBox.angle} (${templateVariants} variants)`);
+      }
+    }
 
-        // -------- ORB FALLBACK (only if not already passed) --------
-        if (!waferPresent) {
-          // detect/compute features
-          this.kpFrame.delete(); this.kpFrame = new cv.KeyPointVector();
-          this.desFrame.delete(); this.desFrame = new cv.Mat();
-          this.detector.detectAndCompute(this.frameGray, new cv.Mat(), this.kpFrame, this.desFrame);
-
-          if (this.desFrame.rows >= 8) {
-            for (const ref of this.refs) {
-              const matches = new cv.DMatchVectorVector();
-              this.matcher.knnMatch(ref.des, this.desFrame, matches, 2);
-
-              // ratio test
-              const good = [];
-              for (let i = 0; i < matches.size(); i++) {
-                const mv = matches.get(i);
-                if (mv.size() === 2) {
-                  const m = mv.get(0), n = mv.get(1);
-                  if (m.distance < this.CONF_RATIO * n.distance) good.push(m);
+    // -------- ORB FALLBACK (skipped for classes OR-fusion already passed on the template) --------
+    const orbDone = (cls) => (this.FUSION === "or" && cls.templateHit) || cls.inliers >= this.MIN_INLIERS;
+    if (this.refs.some(ref => !orbDone(evidence(ref)))) {
+      // detect/compute features
+      this.kpFrame.delete(); this.kpFrame = new cv.KeyPointVector();
+      this.desFrame.delete(); this.desFrame = new cv.Mat();
+      this.detector.detectAndCompute(this.frameGray, new cv.Mat(), this.kpFrame, this.desFrame);
+
+      if (this.desFrame.rows >= 8) {
+        for (const ref of this.refs) {
+          const cls = evidence(ref);
+          if (orbDone(cls)) continue; // early-exit per class
+          const matches = new cv.DMatchVectorVector();
+          this.matcher.knnMatch(ref.des, this.desFrame, matches, 2);
+
+          // ratio test
+          const good = [];
+          for (let i = 0; i < matches.size(); i++) {
+            const mv = matches.get(i);
+            if (mv.size() === 2) {
+              const m = mv.get(0), n = mv.get(1);
+              if (m.distance < this.CONF_RATIO * n.distance) good.push(m);
+            }
+          }
+          matches.delete();
+          if (good.length < this.MIN_GOOD_MATCHES) continue;
+
+          // build point arrays
+          const srcPts = new Float32Array(good.length * 2);
+          const dstPts = new Float32Array(good.length * 2);
+          for (let i = 0; i < good.length; i++) {
+            const g = good[i];
+            const rk = ref.kp.get(g.queryIdx);
+            const fk = this.kpFrame.get(g.trainIdx);
+            srcPts[i*2] = rk.pt.x;   srcPts[i*2+1] = rk.pt.y;
+            dstPts[i*2] = fk.pt.x;   dstPts[i*2+1] = fk.pt.y;
+          }
+          const srcMat = cv.matFromArray(good.length, 1, cv.CV_32FC2, srcPts);
+          const dstMat = cv.matFromArray(good.length, 1, cv.CV_32FC2, dstPts);
+
+          const mask = new cv.Mat();
+          try {
+            const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, 5.0, mask);
+            if (!H.empty()) {
+              const inliers = cv.countNonZero(mask);
+              console.log(`[ORB] ref=${ref.name} (${ref.label}) good=${good.length} inliers=${inliers}`);
+              if (inliers > cls.inliers) {
+                cls.inliers = inliers;
+                cls.orbRef = ref.name;
+                if (this.SHOW_DEBUG || track) {
+                  const quad = new cv.Mat();
+                  cv.perspectiveTransform(ref.corners, quad, H);
+                  cls.quad = Array.from(quad.data32F);
+                  quad.delete();
                 }
-              }
-              matches.delete();
-              if (good.length < this.MIN_GOOD_MATCHES) continue;
-
-              // build point arrays
-              const srcPts = new Float32Array(good.length * 2);
-              const dstPts = new Float32Array(good.length * 2);
-              for (let i = 0; i < good.length; i++) {
-                const g = good[i];
-                const rk = ref.kp.get(g.queryIdx);
-                const fk = this.kpFrame.get(g.trainIdx);
-                srcPts[i*2] = rk.pt.x;   srcPts[i*2+1] = rk.pt.y;
-                dstPts[i*2] = fk.pt.x;   dstPts[i*2+1] = fk.pt.y;
-              }
-              const srcMat = cv.matFromArray(good.length, 1, cv.CV_32FC2, srcPts);
-              const dstMat = cv.matFromArray(good.length, 1, cv.CV_32FC2, dstPts);
-
-              const mask = new cv.Mat();
-              try {
-                const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, 5.0, mask);
-                if (!H.empty()) {
-                  const inliers = cv.countNonZero(mask);
-                  console.log(`[ORB] ref=${ref.name} good=${good.length} inliers=${inliers}`);
-                  if (inliers > bestInliers) {
-                    bestInliers = inliers;
-                    if (this.SHOW_DEBUG) {
-                      const quad = new cv.Mat();
-                      cv.perspectiveTransform(ref.corners, quad, H);
-                      bestQuad = Array.from(quad.data32F);
-                      quad.delete();
-                    }
+                if (track) {
+                  // Inlier frame points seed the optical-flow track
+                  cls.points = [];
+                  for (let i = 0; i < good.length; i++) {
+                    if (mask.data[i]) cls.points.push(dstPts[i*2], dstPts[i*2+1]);
                   }
-                  H.delete();
                 }
-              } catch {}
-              srcMat.delete(); dstMat.delete(); mask.delete();
-
-              if (bestInliers >= this.MIN_INLIERS) break; // early-exit
+              }
+              H.delete();
             }
-          }
-
-          waferPresent = (templateHit && bestInliers >= this.MIN_INLIERS);
+          } catch {}
+          srcMat.delete(); dstMat.delete(); mask.delete();
         }
+      }
+    }
 
-        // -------- Decision + smoothing --------
-        this.hits.push(waferPresent);
-        if (this.hits.length > this.SMOOTH_N) this.hits.shift();
-        const decided = this.hits.some(Boolean); // N=1 → instant
+    // -------- Fusion (per class) → ranked classes / negatives, best first --------
+    const fuse = (cls) => {
+      const templateConfidence = this.INSTANT_TEMPLATE ? signalConfidence(cls.templateScore, this.TMPL_THR, 1) : null;
+      const orbConfidence = signalConfidence(cls.inliers, this.MIN_INLIERS, this.ORB_FULL_INLIERS);
+      const confidence = fuseConfidence(this.FUSION, templateConfidence, orbConfidence, this.W_TEMPLATE, this.W_ORB);
+      return { ...cls, templateConfidence, orbConfidence, confidence, ref: cls.orbRef || cls.templateRef };
+    };
+    const byConfidence = (a, b) => b.confidence - a.confidence;
+    const ranked = Object.values(classes).map(fuse).sort(byConfidence);
+    const negatives = Object.values(rejects).map(fuse).sort(byConfidence);
+    if (!ranked.length) {
+      // Only negative refs loaded: nothing to detect (and no track to keep)
+      this.lastTemplateBox = null;
+      this.flow = null;
+      return {
+        waferPresent: false, confidence: 0, templateConfidence: null, orbConfidence: null,
+        templateHit: false, bestInliers: 0, bestQuad: null, bestTemplateScore: null,
+        bestTemplateRef: null, bestOrbRef: null, templateBox: null, templateVariants, templateBudgetHit,
+        label: null, runnerUp: null, margin: 0, classes: [], negatives: [], rejected: null,
+        tracked: false, track: null,
+      };
+    }
+    const best = ranked[0];
+
+    // A better-matching negative suppresses the positive (confidence drops below 0.5)
+    const rejectedBy = negativeRejection(best, negatives, this.NEG_MARGIN);
+    const confidence = rejectedBy ? Math.min(best.confidence, 1 - rejectedBy.confidence) : best.confidence;
+    const waferPresent = confidence >= 0.5;
+    const decision = classDecision(ranked, this.CLASS_MARGIN);
+    this.lastTemplateBox = best.templateBox;
+    if (rejectedBy) {
+      console.log(`[NEGATIVE] ${rejectedBy.label} (${rejectedBy.ref}) ${rejectedBy.confidence.toFixed(2)} ` +
+        `beats ${best.label} ${best.confidence.toFixed(2)}`);
+    }
 
-        // PASS state
-        if (decided && !this.passed) {
-          this.passed = true;
-          this.passStartedAt = performance.now();
-          console.log("PASS (instant gate:", this.INSTANT_TEMPLATE, ")");
-        }
+    // best*/template*: evidence of the winning class
+    const summary = (c) => ({
+      label: c.label,
+      confidence: c.confidence,
+      templateConfidence: c.templateConfidence,
+      orbConfidence: c.orbConfidence,
+      templateScore: c.templateScore,
+      inliers: c.inliers,
+      ref: c.ref,
+    });
+    const result = {
+      waferPresent,
+      confidence,
+      templateConfidence: best.templateConfidence,
+      orbConfidence: best.orbConfidence,
+      templateHit: best.templateHit,
+      bestInliers: best.inliers,
+      bestQuad: best.quad,
+      bestTemplateScore: best.templateScore,
+      bestTemplateRef: best.templateRef,
+      bestOrbRef: best.orbRef,
+      templateBox: best.templateBox,
+      templateVariants, templateBudgetHit,
+      label: waferPresent ? decision.label : null,
+      runnerUp: decision.runnerUp,
+      margin: decision.margin,
+      classes: ranked.map(summary),
+      negatives: negatives.map(summary),
+      rejected: rejectedBy && {
+        label: rejectedBy.label,
+        ref: rejectedBy.ref,
+        confidence: rejectedBy.confidence,
+        positive: best.label,
+        positiveConfidence: best.confidence,
+      },
+      tracked: false,
+      track: null,
+    };
+
+    if (track) {
+      this._startFlow(result, best);
+      this.frameGray.copyTo(this.prevGray);
+      result.track = this.flow && this._flowInfo();
+    }
+    return result;
+  }
+
+  // -------- Optical-flow tracking (runs where OpenCV runs) --------
+  // After a full detection: (re)start the track on the winning class, keeping the id when
+  // the same class is found again; no wafer → no track
+  _startFlow(result, best) {
+    const quad = best.quad || best.templateBox?.quad;
+    if (!result.waferPresent || !quad) {
+      this.flow = null;
+      return;
+    }
+    const points = best.points?.length >= this.TRACK_MIN_POINTS * 2 ? best.points : this._seedPoints(quad);
+    if (points.length < this.TRACK_MIN_POINTS * 2) {
+      this.flow = null;
+      return;
+    }
+    const id = this.flow?.label === best.label ? this.flow.id : this.nextTrackId++;
+    const { track, ...evidence } = result;
+    this.flow = {
+      id, label: best.label, quad, points,
+      seedCount: points.length / 2,
+      quality: 1,
+      detectedAt: performance.now(),
+      result: evidence, // last full detection, reported while tracking
+    };
+  }
+
+  // Corner features inside the quad's bounding box (template-only detections have no ORB inliers)
+  _seedPoints(quad) {
+    const xs = [quad[0], quad[2], quad[4], quad[6]], ys = [quad[1], quad[3], quad[5], quad[7]];
+    const x0 = Math.max(0, Math.floor(Math.min(...xs))), y0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const x1 = Math.min(this.PROC_W, Math.ceil(Math.max(...xs))), y1 = Math.min(this.PROC_H, Math.ceil(Math.max(...ys)));
+    if (x1 - x0 < 4 || y1 - y0 < 4) return [];
+
+    const mask = cv.Mat.zeros(this.PROC_H, this.PROC_W, cv.CV_8UC1);
+    cv.rectangle(mask, new cv.Point(x0, y0), new cv.Point(x1 - 1, y1 - 1), new cv.Scalar(255), -1);
+    const corners = new cv.Mat();
+    cv.goodFeaturesToTrack(this.frameGray, corners, 60, 0.01, 4, mask);
+    const points = Array.from(corners.data32F);
+    mask.delete(); corners.delete();
+    return points;
+  }
+
+  // Lucas-Kanade flow prevGray → frameGray, homography on the surviving points moves the
+  // quad → true while the track holds; false when a re-detection is needed
+  _trackFlow() {
+    const f = this.flow;
+    if (performance.now() - f.detectedAt > this.TRACK_REDETECT_MS) return false;
+
+    const n = f.points.length / 2;
+    const prevPts = cv.matFromArray(n, 1, cv.CV_32FC2, f.points);
+    const nextPts = new cv.Mat();
+    const status = new cv.Mat();
+    const err = new cv.Mat();
+    const criteria = new cv.TermCriteria(cv.TERM_CRITERIA_EPS | cv.TERM_CRITERIA_COUNT, 10, 0.03);
+    const from = [], to = [];
+    try {
+      cv.calcOpticalFlowPyrLK(this.prevGray, this.frameGray, prevPts, nextPts, status, err, new cv.Size(15, 15), 2, criteria);
+      for (let i = 0; i < n; i++) {
+        if (!status.data[i] || err.data32F[i] > this.TRACK_MAX_ERR) continue;
+        from.push(f.points[i * 2], f.points[i * 2 + 1]);
+        to.push(nextPts.data32F[i * 2], nextPts.data32F[i * 2 + 1]);
+      }
+    } finally {
+      prevPts.delete(); nextPts.delete(); status.delete(); err.delete();
+    }
+    if (to.length < this.TRACK_MIN_POINTS * 2) return false;
+
+    const fromMat = cv.matFromArray(from.length / 2, 1, cv.CV_32FC2, from);
+    const toMat = cv.matFromArray(to.length / 2, 1, cv.CV_32FC2, to);
+    const mask = new cv.Mat();
+    const quadMat = cv.matFromArray(4, 1, cv.CV_32FC2, f.quad);
+    const moved = new cv.Mat();
+    let H = null;
+    try {
+      H = cv.findHomography(fromMat, toMat, cv.RANSAC, 3.0, mask);
+      if (H.empty()) return false;
+      const kept = [];
+      for (let i = 0; i < to.length / 2; i++) {
+        if (mask.data[i]) kept.push(to[i * 2], to[i * 2 + 1]);
+      }
+      const quality = kept.length / 2 / f.seedCount;
+      if (kept.length < this.TRACK_MIN_POINTS * 2 || quality < this.TRACK_MIN_QUALITY) return false;
+
+      cv.perspectiveTransform(quadMat, moved, H);
+      const quad = Array.from(moved.data32F);
+      const scale = quadArea(quad) / Math.max(1e-6, quadArea(f.quad));
+      if (!(scale < this.TRACK_MAX_SCALE && scale > 1 / this.TRACK_MAX_SCALE)) return false; // degenerate fit
+
+      Object.assign(f, { quad, points: kept, quality });
+      return true;
+    } catch {
+      return false;
+    } finally {
+      H?.delete(); fromMat.delete(); toMat.delete(); mask.delete(); quadMat.delete(); moved.delete();
+    }
+  }
+
+  // → {id, label, quad, center, quality, points} (processed coords)
+  _flowInfo() {
+    const f = this.flow;
+    return { id: f.id, label: f.label, quad: f.quad, center: quadCenter(f.quad), quality: f.quality, points: f.points.length / 2 };
+  }
+
+  // -------- Full-frame detection (smoothing + hysteresis + events) --------
+  // Usable from an external frame loop too; → Promise of the "frame" event detail, or null
+  // if skipped (not ready, or dropped because the previous frame is still being processed)
+  async processFrame(source = this._currentSource(), ts = performance.now()) {
+    if (!source || !this.isReady || !this.labels().length) return null;
+    if (this.busy) {
+      this.droppedFrames++;
+      return null;
+    }
+
+    // Downscaled frame → template gate + ORB fallback → fused confidence
+    this.busy = true;
+    const t0 = performance.now();
+    let r;
+    try {
+      r = await this._detect(source, null, this.TRACKING);
+    } finally {
+      this.busy = false;
+    }
+    const detectMs = performance.now() - t0;
+    if (!r.tracked) this.lastTemplateBox = r.templateBox;
+
+    // -------- Track: id, position + velocity (fractions of the frame, per second) --------
+    let track = null;
+    if (r.track) {
+      const { id, label, quad, center, quality } = r.track;
+      const position = { x: center.x / this.PROC_W, y: center.y / this.PROC_H };
+      const prev = this.lastTrack?.id === id ? this.lastTrack : null;
+      const dt = prev ? (ts - prev.ts) / 1000 : 0;
+      let velocity = { x: 0, y: 0 };
+      if (dt > 0) {
+        const a = this.TRACK_SMOOTH;
+        velocity = {
+          x: a * (position.x - prev.position.x) / dt + (1 - a) * prev.velocity.x,
+          y: a * (position.y - prev.position.y) / dt + (1 - a) * prev.velocity.y,
+        };
+      }
+      track = { id, label, quad, position, velocity, quality, tracked: r.tracked };
+    }
+    this.lastTrack = track && { ...track, ts };
+
+    // -------- Smoothing + enter/exit hysteresis --------
+    this.confidences.push(r.confidence);
+    while (this.confidences.length > Math.max(1, this.SMOOTH_N)) this.confidences.shift();
+    const smoothed = this.confidences.reduce((a, v) => a + v, 0) / this.confidences.length;
+
+    const wasPresent = this.present;
+    if (!this.present && smoothed >= this.ENTER_THR) this.present = true;
+    else if (this.present && smoothed < this.EXIT_THR) this.present = false;
+
+    // -------- Class decision on per-class smoothed confidences --------
+    this.classWindow.push(Object.fromEntries(r.classes.map(c => [c.label, c.confidence])));
+    while (this.classWindow.length > Math.max(1, this.SMOOTH_N)) this.classWindow.shift();
+    const classScores = {};
+    for (const scores of this.classWindow) {
+      for (const [label, c] of Object.entries(scores)) {
+        classScores[label] = (classScores[label] || 0) + c / this.classWindow.length;
+      }
+    }
+    const ranked = Object.entries(classScores)
+      .map(([label, confidence]) => ({ label, confidence }))
+      .sort((a, b) => b.confidence - a.confidence);
+    const decision = classDecision(ranked, this.CLASS_MARGIN);
+    const prevLabel = this.label;
+    this.label = this.present ? decision.label : null;
+
+    this.history.push({ ts, confidence: r.confidence, smoothed, present: this.present });
+    while (this.history.length && this.history[0].ts < ts - this.HISTORY_MS) this.history.shift();
+
+    const detail = {
+      ts,
+      waferPresent: r.waferPresent,
+      present: this.present,
+      label: this.label,
+      runnerUp: decision.runnerUp,
+      margin: decision.margin,
+      classScores: ranked,
+      frameLabel: r.label,
+      rejected: r.rejected,
+      tracked: r.tracked,
+      track,
+      confidence: r.confidence,
+      smoothedConfidence: smoothed,
+      templateConfidence: r.templateConfidence,
+      orbConfidence: r.orbConfidence,
+      templateHit: r.templateHit,
+      templateScore: r.bestTemplateScore,
+      templateRef: r.bestTemplateRef,
+      templateBox: r.templateBox,
+      templateVariants: r.templateVariants,
+      templateBudgetHit: r.templateBudgetHit,
+      inliers: r.bestInliers,
+      orbRef: r.bestOrbRef,
+      quad: r.bestQuad,
+      detectMs,
+      droppedFrames: this.droppedFrames,
+    };
+    const logFields = {
+      label: this.label,
+      runnerUp: decision.runnerUp,
+      margin: +decision.margin.toFixed(3),
+      trackId: track ? track.id : null,
+      confidence: +smoothed.toFixed(3),
+      inliers: r.bestInliers,
+      orbRef: r.bestOrbRef,
+      templateScore: r.bestTemplateScore,
+      templateRef: r.bestTemplateRef,
+      templateScale: r.templateBox?.scale ?? null,
+      templateAngle: r.templateBox?.angle ?? null,
+    };
+
+    if (this.present && !wasPresent) {
+      this.passStartedAt = ts;
+      console.log(`PASS ${this.label} (${this.FUSION}, confidence ${smoothed.toFixed(2)})`);
+      this.sessionLog?.add("pass", logFields);
+      this._emit("pass", detail);
+    } else if (!this.present && wasPresent) {
+      this.passStartedAt = null;
+      this.sessionLog?.add("lost", { ...logFields, label: prevLabel });
+      this._emit("lost", detail);
+    } else if (this.present && this.label !== prevLabel) {
+      // Same pass, different class (or it became / stopped being uncertain)
+      this.sessionLog?.add("label", { ...logFields, previous: prevLabel });
+      this._emit("label", { ...detail, previous: prevLabel });
+    }
+
+    // Which negative suppressed the frame (logged when it starts / changes)
+    if (r.rejected && r.rejected.ref !== this.lastRejected?.ref) {
+      this.sessionLog?.add("rejected", {
+        negative: r.rejected.label,
+        negativeRef: r.rejected.ref,
+        negativeConfidence: +r.rejected.confidence.toFixed(3),
+        positive: r.rejected.positive,
+        positiveConfidence: +r.rejected.positiveConfidence.toFixed(3),
+      });
+    }
+    this.lastRejected = r.rejected;
+
+    // Draw quad only while searching (tracked quads are drawn from lastTrack)
+    this.lastQuad = (this.SHOW_DEBUG && r.bestQuad && !this.present && !track) ? r.bestQuad : null;
+
+    this._emit("frame", detail);
+    return detail;
+  }
+
+  _startDetectionLoop() {
+    let lastTS = 0;
+    const targetDelta = 1000 / this.loopHz;
 
-        // Draw quad only if we used ORB
-        this.lastQuad = (this.SHOW_DEBUG && bestQuad && !this.passed) ? bestQuad : null;
+    const loop = (ts) => {
+      if (!this.isRunning) return;
+      if (ts - lastTS < targetDelta) return requestAnimationFrame(loop);
+      lastTS = ts;
 
-        // UI text
-        this.updateOutput(decided || this.passed ? "1" : "0");
-        this.updateStatus(decided, { inliers: bestInliers }, this.passed);
+      try {
+        // Not awaited: the draw loop keeps running, frames arriving while busy are dropped
+        this.processFrame(this._currentSource(), ts).catch((e) => {
+          console.error("detect loop error:", e);
+          this._emit("error", { stage: "detect", error: e });
+        });
 
         // optional auto-exit
-        if (this.EXIT_ON_PASS && this.passed && this.passStartedAt) {
-          if (performance.now() - this.passStartedAt >= this.PASS_HOLD_MS) {
+        if (this.EXIT_ON_PASS && this.present && this.passStartedAt) {
+          if (ts - this.passStartedAt >= this.PASS_HOLD_MS) {
             this.stopDetection();
             return;
           }
         }
       } catch (e) {
         console.error("detect loop error:", e);
+        this._emit("error", { stage: "detect", error: e });
       }
 
       requestAnimationFrame(loop);
@@ -521,25 +1479,273 @@ class WaferDetector {
 
     requestAnimationFrame(loop);
   }
+}
 
-  // -------- UI helpers --------
-  updateOutput(v) { this.output && (this.output.textContent = v); }
-  updateStatus(waferPresent, best, passed) {
-    if (!this.status) return;
-    if (passed) {
-      this.status.textContent = "PASS - Wafer Detected Instantly!";
-      this.status.className = "status pass";
-    } else {
-      const t = `Wafer: ${waferPresent ? "YES" : "NO"} | Best inliers: ${best?.inliers || 0}`;
-      this.status.textContent = t;
-      this.status.className = waferPresent ? "status detected" : "status not-detected";
-    }
+WaferDetector.EVENT_TYPES = ["ready", "refs", "start", "stop", "frame", "pass", "lost", "label", "error"];
+
+// Page side of wafer-worker.js: request/response over postMessage ({type, id, ...})
+class WaferWorkerClient {
+  constructor(url) {
+    this.worker = new Worker(url);
+    this.nextId = 1;
+    this.pending = new Map(); // id → {resolve, reject}
+    this.onerror = null;      // ({stage, message}) for failures outside a request
+
+    this.worker.onmessage = ({ data }) => {
+      const p = this.pending.get(data.id);
+      if (!p) {
+        if (data.type === "error") this.onerror?.(data);
+        return;
+      }
+      this.pending.delete(data.id);
+      if (data.type === "error") p.reject(new Error(`${data.stage}: ${data.message}`));
+      else p.resolve(data);
+    };
+    this.worker.onerror = (e) => {
+      e.preventDefault?.();
+      const message = e.message || "wafer worker failed to load";
+      for (const p of this.pending.values()) p.reject(new Error(message));
+      this.pending.clear();
+      this.onerror?.({ stage: "worker", message });
+    };
+  }
+
+  call(type, payload = {}, transfer = []) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type, id, ...payload }, transfer);
+    });
+  }
+
+  post(type, payload = {}) {
+    this.worker.postMessage({ type, ...payload });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    for (const p of this.pending.values()) p.reject(new Error("wafer worker terminated"));
+    this.pending.clear();
   }
 }
 
-// ---- Global helpers for your buttons ----
+// ---- index_1.html adapter: DOM controls/text on top of the event API ----
 let detector;
-function loadReferenceImages(){ detector?.loadReferenceImages(); }
+let waferStream = null; // EventStream (event-stream.js) when that is loaded
+
+function updateOutput(v) {
+  const el = document.getElementById("output");
+  if (el) el.textContent = v;
+}
+
+function updateStatus(f) {
+  const el = document.getElementById("status");
+  if (!el) return;
+  if (!f) {
+    el.textContent = "Camera stopped";
+    el.className = "status";
+    return;
+  }
+  const conf = `Confidence: ${(f.smoothedConfidence * 100).toFixed(0)}%`;
+  const margin = f.runnerUp ? ` | Margin over ${f.runnerUp}: ${(f.margin * 100).toFixed(0)}%` : "";
+  if (f.present) {
+    const what = f.label === WAFER_UNCERTAIN ? "Uncertain product" : `${f.label} detected`;
+    el.textContent = `PASS - ${what} | ${conf}${margin}`;
+    el.className = "status pass";
+  } else {
+    el.textContent = `Wafer: ${f.waferPresent ? "YES" : "NO"} | ${conf} | Best inliers: ${f.inliers || 0}`;
+    el.className = f.waferPresent ? "status detected" : "status not-detected";
+  }
+  if (f.rejected) {
+    const { label, ref, confidence, positive, positiveConfidence } = f.rejected;
+    el.textContent += ` | Rejected: looks like ${label} (${ref}, ${(confidence * 100).toFixed(0)}% ` +
+      `vs ${positive} ${(positiveConfidence * 100).toFixed(0)}%)`;
+  }
+}
+
+function setRunningUi(running) {
+  const startBtn = document.getElementById("startBtn");
+  const stopBtn = document.getElementById("stopBtn");
+  if (startBtn) startBtn.disabled = running;
+  if (stopBtn) stopBtn.disabled = !running;
+}
+
+function showReferenceImages({ refs }) {
+  const container = document.getElementById("refImagesContainer");
+  if (!container) return;
+  container.innerHTML = "";
+  for (const ref of refs) {
+    if (!ref.dataUrl) continue;
+    const img = document.createElement("img");
+    img.src = ref.dataUrl;
+    img.className = ref.negative ? "ref-image negative" : "ref-image";
+    img.title = `${ref.negative ? "negative " : ""}${ref.label}: ${ref.name}`;
+    container.appendChild(img);
+  }
+}
+
+// Settings inputs → detector tunables (read on every start)
+function readSettings() {
+  const num = (id, parse) => {
+    const el = document.getElementById(id);
+    const v = el ? parse(el.value) : NaN;
+    return Number.isFinite(v) ? v : undefined;
+  };
+  const templateWeight = num("templateWeight", parseFloat);
+  let enter = num("enterThr", parseFloat), exit = num("exitThr", parseFloat);
+  if (enter !== undefined && exit !== undefined && exit > enter) exit = enter; // keep hysteresis ordered
+  return {
+    CONF_RATIO: num("confRatio", parseFloat),
+    MIN_GOOD_MATCHES: num("minGoodMatches", parseInt),
+    MIN_INLIERS: num("minInliers", parseInt),
+    SMOOTH_N: num("smoothFrames", parseInt),
+    CLASS_MARGIN: num("classMargin", parseFloat),
+    NEG_MARGIN: num("negMargin", parseFloat),
+    FUSION: document.getElementById("fusion")?.value || undefined,
+    W_TEMPLATE: templateWeight,
+    W_ORB: templateWeight === undefined ? undefined : 1 - templateWeight,
+    ENTER_THR: enter,
+    EXIT_THR: exit,
+  };
+}
+
+function createPageDetector() {
+  const d = new WaferDetector({
+    video: document.getElementById("videoElement"),
+    canvas: document.getElementById("canvas"),
+    worker: true,
+    library: typeof ReferenceLibrary !== "undefined" ? new ReferenceLibrary() : null,
+  });
+  d.on("refs", showReferenceImages);
+  d.on("refs", () => renderLibrary());
+  d.on("start", () => setRunningUi(true));
+  d.on("stop", () => {
+    setRunningUi(false);
+    updateStatus(null);
+    updateOutput("0");
+  });
+  d.on("frame", (f) => {
+    updateOutput(f.present ? "1" : "0");
+    updateStatus(f);
+  });
+  d.on("error", ({ stage, error }) => {
+    if (stage === "camera") alert("Camera error. Check permissions or device.");
+    else if (stage === "start") alert(error.message);
+    else if (stage === "library") setLibraryUi(`Library error: ${error.message}`);
+    else if (stage === "opencv" || stage === "worker" || stage === "init") {
+      const el = document.getElementById("status");
+      if (el) el.textContent = `OpenCV not available: ${error.message}`;
+    }
+  });
+  return d;
+}
+
+// ---- Reference library panel (reference-library.js) ----
+function setLibraryUi(msg) {
+  const el = document.getElementById("libraryStatus");
+  if (el) el.textContent = msg;
+}
+
+async function renderLibrary() {
+  const list = document.getElementById("libraryList");
+  if (!list || !detector?.library) return;
+  const records = await detector.library.list();
+  list.innerHTML = "";
+  for (const r of records) {
+    const row = document.createElement("div");
+    row.className = "library-item";
+
+    const img = document.createElement("img");
+    img.src = r.image;
+    img.className = r.negative ? "ref-image negative" : "ref-image";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = r.name;
+    name.onchange = () => libraryAction(detector.library.rename(r.id, name.value), `Renamed to ${name.value}`);
+
+    const label = document.createElement("input");
+    label.type = "text";
+    label.value = r.label || (r.negative ? detector.NEGATIVE_LABEL : detector.DEFAULT_LABEL);
+    label.title = "Class label";
+    label.onchange = () => libraryAction(detector.library.setLabel(r.id, label.value), `${r.name} → class ${label.value}`);
+
+    const enabled = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = r.enabled;
+    box.onchange = () => libraryAction(detector.library.setEnabled(r.id, box.checked),
+      `${r.name} ${box.checked ? "enabled" : "disabled"}`);
+    enabled.append(box, " enabled");
+
+    const negative = document.createElement("label");
+    const negBox = document.createElement("input");
+    negBox.type = "checkbox";
+    negBox.checked = !!r.negative;
+    negBox.onchange = () => libraryAction(detector.library.setNegative(r.id, negBox.checked),
+      `${r.name} is ${negBox.checked ? "a negative" : "a positive"} reference`);
+    negative.append(negBox, " negative");
+
+    const del = document.createElement("button");
+    del.textContent = "Delete";
+    del.onclick = () => {
+      if (confirm(`Delete reference "${r.name}"?`)) libraryAction(detector.library.remove(r.id), `Deleted ${r.name}`);
+    };
+
+    row.append(img, name, label, enabled, negative, del);
+    list.appendChild(row);
+  }
+  if (!records.length) setLibraryUi("Library is empty – upload custom images to add references");
+}
+
+// Library change → reload the active refs (cached features make this cheap)
+async function libraryAction(promise, msg) {
+  try {
+    await promise;
+    await detector.loadLibraryReferences();
+    setLibraryUi(msg);
+  } catch (e) {
+    setLibraryUi(`Library error: ${e.message}`);
+    renderLibrary();
+  }
+}
+
+function exportLibrary() { detector?.library?.download(); }
+
+function importLibrary() {
+  const fileInput = document.getElementById("libraryFile");
+  if (!fileInput || !detector?.library) return;
+  fileInput.onchange = async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    const replace = confirm("Replace the current library? (Cancel = add to it)");
+    try {
+      const n = await detector.library.importJSON(await file.text(), { replace });
+      await detector.loadLibraryReferences();
+      setLibraryUi(`Imported ${n} references from ${file.name}`);
+    } catch (e) {
+      setLibraryUi(`Import failed: ${e.message}`);
+    }
+  };
+  fileInput.click();
+}
+
+// Reference loading failed (OpenCV unavailable, unreadable files) → status line
+function reportRefError(e) {
+  console.error("Ref load err:", e);
+  const el = document.getElementById("status");
+  if (el) el.textContent = `References not loaded: ${e.message}`;
+}
+function loadReferenceImages(){ detector?.loadReferenceImages().catch(reportRefError); }
+// Class label field (empty = folder name / default class)
+function uploadLabel() {
+  return document.getElementById("refLabel")?.value.trim() || null;
+}
+// "Negative (look-alike)" checkbox: uploads become hard negatives
+function uploadNegative() {
+  return !!document.getElementById("refNegative")?.checked;
+}
 function loadCustomImages(){
   const fileInput = document.getElementById("refImages");
   if (!fileInput) return;
@@ -547,12 +1753,68 @@ function loadCustomImages(){
   fileInput.click();
   fileInput.onchange = () => {
     if (detector && fileInput.files.length > 0) {
-      detector.loadCustomReferenceImages(fileInput.files);
+      detector.loadCustomReferenceImages(fileInput.files, uploadLabel(), uploadNegative()).catch(reportRefError);
     }
     fileInput.style.display = "none";
   };
 }
-function startDetection(){ detector?.startDetection(); }
+// Folder of class folders (snacks/wafer/*.png, snacks/cracker/*.png): each subfolder is a class,
+// files below a negative/ folder are hard negatives
+function loadReferenceFolder(){
+  const fileInput = document.getElementById("refFolder");
+  if (!fileInput) return;
+  fileInput.onchange = () => {
+    if (detector && fileInput.files.length > 0) {
+      detector.loadCustomReferenceImages(fileInput.files, uploadLabel(), uploadNegative()).catch(reportRefError);
+    }
+    fileInput.value = "";
+  };
+  fileInput.click();
+}
+function startDetection(){
+  if (!detector) return;
+  detector.configure(readSettings());
+  detector.startDetection();
+}
 function stopDetection(){ detector?.stopDetection(); }
 
-window.addEventListener("load", () => { detector = new WaferDetector(); });
+// Standalone wafer page only (the eating page creates its own instance; wafer-worker.js
+// loads this file too, where there is no window)
+if (typeof window !== "undefined") window.addEventListener("load", () => {
+  if (!document.getElementById("videoElement")) return;
+  if (typeof startOfflineAssets !== "undefined") startOfflineAssets(["opencv"]);
+  detector = createPageDetector();
+  if (typeof EventStream !== "undefined") {
+    // PASS / lost / label + throttled confidence to ?stream=… and an embedding dashboard
+    waferStream = new EventStream({ sessionLog: detector.sessionLog, ...eventStreamOptions() });
+    waferStream.on("state", setStreamUi);
+    streamWaferEvents(waferStream, detector);
+    const input = document.getElementById("streamUrl");
+    if (input) input.value = waferStream.url || "";
+    setStreamUi(waferStream.status());
+  }
+  // Previously uploaded references come back from the library
+  detector.loadLibraryReferences()
+    .then(renderLibrary)
+    .catch((e) => {
+      setLibraryUi(`Library not loaded: ${e.message}`);
+      renderLibrary().catch(() => {});
+    });
+});
+
+// Node (tests / offline tools): require("./wafer-detection.js"); the pure helpers need no OpenCV
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WaferDetector,
+    WAFER_UNCERTAIN,
+    signalConfidence,
+    fuseConfidence,
+    classDecision,
+    negativeRejection,
+    rotatedBoxQuad,
+    quadArea,
+    quadCenter,
+    refLabelFromPath,
+    refNegativeFromPath,
+  };
+}
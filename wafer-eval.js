@@ -0,0 +1,514 @@
+// wafer-eval.js
+// Offline evaluation of WaferDetector thresholds on a labeled dataset (wafer-eval.html).
+// - Dataset: one folder with positive/, negative/ or class-named subfolders of still
+//   images and clips (clips are sampled at a fixed fps)
+// - Pass 1 runs the current settings: precision / recall / per-frame latency as-is
+// - Sweep passes re-run detection for each CONF_RATIO × MIN_GOOD_MATCHES (they change the
+//   matching itself) with early exits off, so the recorded template scores / inliers are
+//   exact; TMPL_THR × MIN_INLIERS are then swept offline on those records
+// - ROC-style table + suggested operating point (best recall at a minimum precision),
+//   exportable as JSON / CSV (csvCell from session-log.js)
+
+const EVAL_ANY_CLASS = "*"; // positive/ folder: any class counts
+const EVAL_POSITIVE_DIRS = /^(pos|positive|positives)$/i;
+const EVAL_NEGATIVE_DIRS = /^(neg|negative|negatives|none|background)$/i;
+const EVAL_MAX_CLIP_FRAMES = 300; // per clip; every frame is kept as PROC-size gray bytes (~77 KB)
+
+const EVAL_DEFAULT_GRID = {
+  CONF_RATIO: [0.7, 0.8, 0.9],
+  MIN_GOOD_MATCHES: [3, 6],
+  TMPL_THR: [0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8],
+  MIN_INLIERS: [4, 6, 8, 10, 12, 15],
+};
+
+// Tunables that decide a frame (stamped into the report)
+const EVAL_SETTING_KEYS = [
+  "TMPL_THR", "CONF_RATIO", "MIN_GOOD_MATCHES", "MIN_INLIERS", "ORB_FULL_INLIERS",
+  "FUSION", "W_TEMPLATE", "W_ORB", "CLASS_MARGIN", "NEG_MARGIN", "INSTANT_TEMPLATE",
+];
+
+const EVAL_SWEEP_FIELDS = [
+  "CONF_RATIO", "MIN_GOOD_MATCHES", "TMPL_THR", "MIN_INLIERS",
+  "tp", "fp", "fn", "tn", "wrongClass", "uncertain", "precision", "recall", "fpr", "f1",
+];
+
+function evalFusionHelpers() {
+  // wafer-detection.js: sibling <script> in the browser, module in Node
+  return typeof signalConfidence !== "undefined"
+    ? { signalConfidence, fuseConfidence, classDecision, negativeRejection, WAFER_UNCERTAIN }
+    : require("./wafer-detection.js");
+}
+
+// "data/positive/a.png" → "*", "data/negative/b.png" → null, "data/cracker/c.png" → "cracker";
+// undefined when the file sits directly in the chosen folder (no label)
+function evalLabelFromPath(path) {
+  const dirs = String(path || "").split("/").slice(1, -1); // drop the chosen folder + file name
+  if (!dirs.length) return undefined;
+  if (dirs.some(d => EVAL_NEGATIVE_DIRS.test(d))) return null;
+  const last = dirs[dirs.length - 1];
+  return EVAL_POSITIVE_DIRS.test(last) ? EVAL_ANY_CLASS : last;
+}
+
+// Recorded per-class evidence [{label, templateScore, inliers}] (+ the same for hard
+// negatives) + tunables → { present, label, confidence, rejected }, decided like
+// WaferDetector._detectProcFrame
+function evalDecision(classes, p, negatives = []) {
+  const { signalConfidence, fuseConfidence, classDecision, negativeRejection } = evalFusionHelpers();
+  const rank = (list) => list.map((c) => {
+    const t = p.INSTANT_TEMPLATE ? signalConfidence(c.templateScore, p.TMPL_THR, 1) : null;
+    const o = signalConfidence(c.inliers, p.MIN_INLIERS, p.ORB_FULL_INLIERS);
+    return { label: c.label, confidence: fuseConfidence(p.FUSION, t, o, p.W_TEMPLATE, p.W_ORB) };
+  }).sort((a, b) => b.confidence - a.confidence);
+  const ranked = rank(classes);
+  const rejected = negativeRejection(ranked[0], rank(negatives), p.NEG_MARGIN);
+  const best = ranked.length ? ranked[0].confidence : 0;
+  const confidence = rejected ? Math.min(best, 1 - rejected.confidence) : best;
+  const present = confidence >= 0.5;
+  return {
+    present,
+    confidence,
+    label: present ? classDecision(ranked, p.CLASS_MARGIN).label : null,
+    rejected: rejected ? rejected.label : null,
+  };
+}
+
+// expected: null (negative) | "*" | class label → "tp" | "fp" | "fn" | "tn" | "wrongClass" | "uncertain"
+function evalOutcome(expected, { present, label }) {
+  if (expected === null) return present ? "fp" : "tn";
+  if (!present) return "fn";
+  if (expected === EVAL_ANY_CLASS || label === expected) return "tp";
+  return label === evalFusionHelpers().WAFER_UNCERTAIN ? "uncertain" : "wrongClass";
+}
+
+// Outcome counts → rates; wrong-class / uncertain detections count against both
+// precision (a detection that is not right) and recall (a positive that was missed)
+function evalMetrics(outcomes) {
+  const c = { tp: 0, fp: 0, fn: 0, tn: 0, wrongClass: 0, uncertain: 0 };
+  for (const o of outcomes) c[o]++;
+  const detections = c.tp + c.fp + c.wrongClass + c.uncertain;
+  const positives = c.tp + c.fn + c.wrongClass + c.uncertain;
+  const negatives = c.tn + c.fp;
+  const precision = detections ? c.tp / detections : 1;
+  const recall = positives ? c.tp / positives : 0;
+  return {
+    ...c,
+    precision,
+    recall,
+    fpr: negatives ? c.fp / negatives : 0,
+    f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+  };
+}
+
+// ms per frame → { n, mean, p50, p95, max }
+function latencyStats(ms) {
+  if (!ms.length) return { n: 0, mean: 0, p50: 0, p95: 0, max: 0 };
+  const s = [...ms].sort((a, b) => a - b);
+  const at = (q) => s[Math.min(s.length - 1, Math.floor(q * s.length))];
+  return { n: s.length, mean: s.reduce((a, v) => a + v, 0) / s.length, p50: at(0.5), p95: at(0.95), max: s[s.length - 1] };
+}
+
+// passes: [{CONF_RATIO, MIN_GOOD_MATCHES, samples: [{expected, classes, negatives}]}]
+// → one row per pass × TMPL_THR × MIN_INLIERS, ROC order (fpr ascending, recall descending)
+function sweepThresholds(passes, grid, base) {
+  const rows = [];
+  for (const { CONF_RATIO, MIN_GOOD_MATCHES, samples } of passes) {
+    for (const TMPL_THR of grid.TMPL_THR) {
+      for (const MIN_INLIERS of grid.MIN_INLIERS) {
+        const p = { ...base, TMPL_THR, MIN_INLIERS };
+        const outcomes = samples.map(s => evalOutcome(s.expected, evalDecision(s.classes, p, s.negatives)));
+        rows.push({ CONF_RATIO, MIN_GOOD_MATCHES, TMPL_THR, MIN_INLIERS, ...evalMetrics(outcomes) });
+      }
+    }
+  }
+  return rows.sort((a, b) => a.fpr - b.fpr || b.recall - a.recall);
+}
+
+// Highest recall with precision ≥ minPrecision (ties: precision, then stricter thresholds);
+// falls back to the best F1 when no row reaches the precision → { ...row, reason } or null
+function suggestOperatingPoint(rows, minPrecision = 0.95) {
+  const stricter = (a, b) => (b.TMPL_THR - a.TMPL_THR) || (b.MIN_INLIERS - a.MIN_INLIERS);
+  const ok = rows.filter(r => r.precision >= minPrecision && r.recall > 0);
+  if (ok.length) {
+    const best = [...ok].sort((a, b) => b.recall - a.recall || b.precision - a.precision || stricter(a, b))[0];
+    return { ...best, reason: `best recall at precision ≥ ${minPrecision}` };
+  }
+  if (!rows.length) return null;
+  const best = [...rows].sort((a, b) => b.f1 - a.f1 || a.fpr - b.fpr || stricter(a, b))[0];
+  return { ...best, reason: `no setting reaches precision ${minPrecision}; best F1` };
+}
+
+// Yield to the page between frames (progress, cancel)
+function evalYield() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class WaferEvaluator {
+  // detector: WaferDetector without a worker, references already loaded
+  // grid: sweep values (see EVAL_DEFAULT_GRID); clipFps: frames sampled per second of a clip
+  // minPrecision: constraint for the suggested operating point
+  // onProgress({ phase, done, total, file }) → progress text (optional)
+  constructor({ detector, grid = EVAL_DEFAULT_GRID, clipFps = 5, minPrecision = 0.95, onProgress = null }) {
+    this.detector = detector;
+    this.grid = { ...EVAL_DEFAULT_GRID, ...grid };
+    this.clipFps = clipFps;
+    this.minPrecision = minPrecision;
+    this.onProgress = onProgress;
+    this.cancelled = false;
+    this.result = null;
+    this.canvas = makeCanvas(detector.PROC_W, detector.PROC_H);
+    this.ctx = this.canvas.getContext("2d", { willReadFrequently: true });
+  }
+
+  cancel() { this.cancelled = true; }
+
+  async run(files) {
+    this.cancelled = false;
+    const d = this.detector;
+    if (d.worker) throw new Error("Evaluation needs a detector without a worker");
+    await d.ready;
+    if (!d.labels().length) throw new Error("Load reference images first.");
+
+    const { frames, skipped } = await this._loadFrames(files);
+    if (!frames.length) throw new Error("No labeled images or clips (use positive/, negative/ or class folders)");
+
+    const live = d._tunables();
+    const settings = Object.fromEntries(EVAL_SETTING_KEYS.map(k => [k, live[k]]));
+    const passes = [];
+    let current;
+    try {
+      // 1) Current settings, including their early exits → real decisions + latency
+      const runs = await this._pass(frames, live, "current");
+      current = {
+        ...evalMetrics(runs.map(s => evalOutcome(s.expected, s))),
+        latency: latencyStats(runs.map(s => s.ms)),
+        frames: runs.map(({ classes, negatives, ...s }) => s),
+      };
+
+      // 2) Sweep passes: exact per-class maxima (no template hit, no budget, no ORB early exit)
+      for (const CONF_RATIO of this.grid.CONF_RATIO) {
+        for (const MIN_GOOD_MATCHES of this.grid.MIN_GOOD_MATCHES) {
+          if (this.cancelled) break;
+          const samples = await this._pass(frames, {
+            ...live, CONF_RATIO, MIN_GOOD_MATCHES,
+            TMPL_THR: 2, TMPL_BUDGET_MS: Infinity, MIN_INLIERS: Infinity, FUSION: "and", SHOW_DEBUG: false,
+          }, `sweep CONF_RATIO=${CONF_RATIO} MIN_GOOD_MATCHES=${MIN_GOOD_MATCHES}`);
+          passes.push({ CONF_RATIO, MIN_GOOD_MATCHES, samples });
+        }
+      }
+    } finally {
+      d.configure(live);
+    }
+
+    const sweep = sweepThresholds(passes, this.grid, settings);
+    const count = (pred) => frames.filter(pred).length;
+    this.result = {
+      evaluatedAt: new Date().toISOString(),
+      complete: !this.cancelled,
+      refs: d.refs.map(r => ({ name: r.name, label: r.label, negative: r.negative })),
+      dataset: {
+        files: new Set(frames.map(f => f.file)).size,
+        frames: frames.length,
+        positives: count(f => f.expected !== null),
+        negatives: count(f => f.expected === null),
+        labels: [...new Set(frames.map(f => f.expected).filter(l => l !== null))],
+        skipped,
+      },
+      settings,
+      grid: this.grid,
+      current,
+      operatingPoint: suggestOperatingPoint(sweep, this.minPrecision),
+      sweep,
+      passes, // raw per-class evidence: sweepThresholds(passes, grid, settings) re-scores offline
+    };
+    return this.result;
+  }
+
+  // Files (from a directory input) → labeled PROC-size frames; unlabeled / unreadable files
+  // are listed in `skipped`
+  async _loadFrames(files) {
+    const frames = [];
+    const skipped = [];
+    for (const file of files) {
+      if (this.cancelled) break;
+      const path = file.webkitRelativePath || file.name;
+      const expected = evalLabelFromPath(path);
+      const isImage = file.type.startsWith("image/"), isClip = file.type.startsWith("video/");
+      if (expected === undefined || !(isImage || isClip)) {
+        skipped.push(path);
+        continue;
+      }
+      this.onProgress?.({ phase: "loading", done: frames.length, total: files.length, file: path });
+      const url = URL.createObjectURL(file);
+      try {
+        if (isImage) {
+          frames.push({ file: path, frame: 0, t: 0, expected, image: this._procImage(await loadImage(url)) });
+        } else {
+          for (const f of await this._clipFrames(url)) frames.push({ file: path, expected, ...f });
+        }
+      } catch (e) {
+        console.warn(`[eval] ${path}:`, e);
+        skipped.push(path);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+    return { frames, skipped };
+  }
+
+  // Clip → [{frame, t, image}] every 1/clipFps s (seekVideo from video-analysis.js)
+  async _clipFrames(url) {
+    const videoEl = document.createElement("video");
+    videoEl.muted = true;
+    videoEl.preload = "auto";
+    videoEl.src = url;
+    try {
+      await new Promise((resolve, reject) => {
+        videoEl.onloadeddata = resolve;
+        videoEl.onerror = () => reject(new Error("Cannot decode clip"));
+      });
+      const out = [];
+      const step = 1 / this.clipFps;
+      for (let t = 0; t < videoEl.duration && out.length < EVAL_MAX_CLIP_FRAMES && !this.cancelled; t += step) {
+        const mediaTime = await seekVideo(videoEl, t);
+        out.push({ frame: out.length, t: +mediaTime.toFixed(3), image: this._procImage(videoEl) });
+      }
+      return out;
+    } finally {
+      videoEl.removeAttribute("src");
+      videoEl.load();
+    }
+  }
+
+  // Scaled to PROC_W x PROC_H exactly like a live frame and kept as luma only (detection
+  // converts to gray first; a quarter of the RGBA size) → {width, height, gray}
+  _procImage(source) {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+    const { data, width, height } = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    const gray = new Uint8ClampedArray(width * height);
+    for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+      gray[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return { width, height, gray };
+  }
+
+  // Stored gray frame → RGBA ImageData for the detector (one buffer, reused every frame)
+  _expandImage({ width, height, gray }) {
+    if (this.rgba?.width !== width || this.rgba?.height !== height) this.rgba = this.ctx.createImageData(width, height);
+    const data = this.rgba.data;
+    for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+      data[i] = data[i + 1] = data[i + 2] = gray[j];
+      data[i + 3] = 255;
+    }
+    return this.rgba;
+  }
+
+  // One detection pass over every frame → [{file, frame, t, expected, ms, present, label,
+  // confidence, rejected, classes + negatives: [{label, templateScore, inliers}]}]
+  async _pass(frames, tunables, phase) {
+    const d = this.detector;
+    d.configure(tunables);
+    const out = [];
+    for (const [i, f] of frames.entries()) {
+      if (this.cancelled) break;
+      const image = this._expandImage(f.image);
+      const t0 = performance.now();
+      const r = d._detectLocal(image);
+      const ms = performance.now() - t0;
+      out.push({
+        file: f.file, frame: f.frame, t: f.t, expected: f.expected, ms: +ms.toFixed(2),
+        present: r.waferPresent, label: r.label, confidence: +r.confidence.toFixed(3),
+        rejected: r.rejected ? r.rejected.label : null,
+        classes: r.classes.map(({ label, templateScore, inliers }) => ({ label, templateScore, inliers })),
+        negatives: r.negatives.map(({ label, templateScore, inliers }) => ({ label, templateScore, inliers })),
+      });
+      if (i % 5 === 4) {
+        this.onProgress?.({ phase, done: i + 1, total: frames.length, file: f.file });
+        await evalYield();
+      }
+    }
+    return out;
+  }
+
+  toCSV() {
+    if (!this.result) return "";
+    const lines = [EVAL_SWEEP_FIELDS.join(",")];
+    for (const row of this.result.sweep) lines.push(EVAL_SWEEP_FIELDS.map(k => csvCell(row[k])).join(","));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // format: "csv" (sweep table) | "json" (full report)
+  download(format = "json") {
+    if (!this.result) return;
+    const csv = format === "csv";
+    const body = csv ? this.toCSV() : JSON.stringify(this.result, null, 2);
+    downloadBlob(`wafer-eval-${this.result.evaluatedAt.replace(/[:.]/g, "-")}.${csv ? "csv" : "json"}`, body, csv ? "text/csv" : "application/json");
+  }
+}
+
+// ---- wafer-eval.html adapter ----
+let evalDetector = null;
+let evalLibrary = null;
+let evaluator = null;      // WaferEvaluator while running
+let lastEvaluation = null; // finished evaluator (report export)
+let evalFiles = [];
+
+function setEvalUi(msg) {
+  const el = document.getElementById("evalStatus");
+  if (el) el.textContent = msg;
+}
+
+function setEvalRefsUi({ refs, labels, negatives }) {
+  const el = document.getElementById("evalRefs");
+  if (el) {
+    el.textContent = `${refs.length} references (${labels.join(", ") || "none"})` +
+      (negatives.length ? `, negatives: ${negatives.join(", ")}` : "");
+  }
+}
+
+// "0.5, 0.6,0.7" → [0.5, 0.6, 0.7]; empty / invalid → the default list
+function readEvalList(id, fallback) {
+  const values = String(document.getElementById(id)?.value || "")
+    .split(",").map(v => parseFloat(v)).filter(Number.isFinite);
+  return values.length ? values : fallback;
+}
+
+// Reference loading failed (OpenCV unavailable, IndexedDB / file errors) → status line
+function reportEvalRefError(e) {
+  console.warn("[eval] references:", e);
+  setEvalUi(`References not loaded: ${e.message}`);
+}
+
+function useLibraryReferences() {
+  evalDetector?.loadLibraryReferences(evalLibrary).then((n) => {
+    if (!n) setEvalUi("The reference library is empty (or has no enabled references)");
+  }).catch(reportEvalRefError);
+}
+
+function useDefaultReferences() { evalDetector?.loadReferenceImages().catch(reportEvalRefError); }
+
+function uploadReferenceFolder() {
+  const fileInput = document.getElementById("evalRefFolder");
+  if (!fileInput) return;
+  fileInput.onchange = () => {
+    if (evalDetector && fileInput.files.length) evalDetector.loadCustomReferenceImages(fileInput.files).catch(reportEvalRefError);
+    fileInput.value = "";
+  };
+  fileInput.click();
+}
+
+function chooseEvalDataset() {
+  const fileInput = document.getElementById("evalDataset");
+  if (!fileInput) return;
+  fileInput.onchange = () => {
+    evalFiles = [...fileInput.files];
+    fileInput.value = "";
+    const labeled = evalFiles.filter(f => evalLabelFromPath(f.webkitRelativePath) !== undefined);
+    setEvalUi(`${labeled.length} labeled files of ${evalFiles.length} – ready to run`);
+  };
+  fileInput.click();
+}
+
+async function runEvaluation() {
+  if (evaluator || !evalDetector) return;
+  if (!evalFiles.length) { alert("Choose a dataset folder first."); return; }
+  evaluator = new WaferEvaluator({
+    detector: evalDetector,
+    grid: {
+      CONF_RATIO: readEvalList("evalConfRatio", EVAL_DEFAULT_GRID.CONF_RATIO),
+      MIN_GOOD_MATCHES: readEvalList("evalMinGood", EVAL_DEFAULT_GRID.MIN_GOOD_MATCHES),
+      TMPL_THR: readEvalList("evalTmplThr", EVAL_DEFAULT_GRID.TMPL_THR),
+      MIN_INLIERS: readEvalList("evalMinInliers", EVAL_DEFAULT_GRID.MIN_INLIERS),
+    },
+    clipFps: parseFloat(document.getElementById("evalClipFps")?.value) || 5,
+    minPrecision: parseFloat(document.getElementById("evalMinPrecision")?.value) || 0.95,
+    onProgress: ({ phase, done, total, file }) => setEvalUi(`${phase}: ${done}/${total} (${file})`),
+  });
+  try {
+    const result = await evaluator.run(evalFiles);
+    lastEvaluation = evaluator;
+    renderEvaluation(result);
+    setEvalUi(`${result.complete ? "Evaluated" : "Cancelled"}: ${result.dataset.frames} frames ` +
+      `(${result.dataset.positives} positive, ${result.dataset.negatives} negative), ` +
+      `${result.dataset.skipped.length} files skipped`);
+  } catch (e) {
+    console.error("evaluation err:", e);
+    setEvalUi(`Evaluation failed: ${e.message}`);
+  } finally {
+    evaluator = null;
+  }
+}
+
+function cancelEvaluation() { evaluator?.cancel(); }
+
+function exportEvaluation(format) {
+  if (!lastEvaluation) { alert("Run an evaluation first."); return; }
+  lastEvaluation.download(format);
+}
+
+function renderEvaluation(result) {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const { current, operatingPoint: op } = result;
+  const summary = document.getElementById("evalSummary");
+  if (summary) {
+    summary.textContent =
+      `Current settings: precision ${pct(current.precision)}, recall ${pct(current.recall)}, ` +
+      `FPR ${pct(current.fpr)} | latency mean ${current.latency.mean.toFixed(1)} ms, ` +
+      `p95 ${current.latency.p95.toFixed(1)} ms\n` +
+      (op
+        ? `Suggested (${op.reason}): ${JSON.stringify({
+          TMPL_THR: op.TMPL_THR, CONF_RATIO: op.CONF_RATIO, MIN_GOOD_MATCHES: op.MIN_GOOD_MATCHES, MIN_INLIERS: op.MIN_INLIERS,
+        })} → precision ${pct(op.precision)}, recall ${pct(op.recall)}, FPR ${pct(op.fpr)}`
+        : "No operating point (empty sweep)");
+  }
+
+  const table = document.getElementById("evalTable");
+  if (!table) return;
+  table.innerHTML = "";
+  const head = table.insertRow();
+  for (const k of EVAL_SWEEP_FIELDS) head.insertCell().textContent = k;
+  for (const row of result.sweep) {
+    const tr = table.insertRow();
+    const isOp = op && EVAL_SWEEP_FIELDS.slice(0, 4).every(k => row[k] === op[k]);
+    if (isOp) tr.className = "operating-point";
+    for (const k of EVAL_SWEEP_FIELDS) {
+      const v = row[k];
+      tr.insertCell().textContent = ["precision", "recall", "fpr", "f1"].includes(k) ? v.toFixed(3) : v;
+    }
+  }
+}
+
+if (typeof window !== "undefined") window.addEventListener("load", () => {
+  if (!document.getElementById("evalDataset")) return;
+  // Main-thread detector: frames are fed directly and timed per pass
+  if (typeof startOfflineAssets !== "undefined") startOfflineAssets(["opencv"]);
+  evalDetector = new WaferDetector({ sessionLog: null });
+  evalLibrary = typeof ReferenceLibrary !== "undefined" ? new ReferenceLibrary() : null;
+  evalDetector.on("refs", setEvalRefsUi);
+  evalDetector.on("error", ({ stage, error }) => setEvalUi(`${stage}: ${error.message}`));
+  evalDetector.ready.then(async () => {
+    try {
+      const n = await evalDetector.loadLibraryReferences(evalLibrary).catch((e) => {
+        console.warn("[eval] library references:", e);
+        return 0;
+      });
+      if (!n) await evalDetector.loadReferenceImages();
+    } catch (e) {
+      reportEvalRefError(e);
+    }
+  }, () => {}); // OpenCV never came up: already shown by the "error" listener
+});
+
+// Node (tests / offline tools): require("./wafer-eval.js") to re-score an exported report
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EVAL_DEFAULT_GRID,
+    evalLabelFromPath,
+    evalDecision,
+    evalOutcome,
+    evalMetrics,
+    latencyStats,
+    sweepThresholds,
+    suggestOperatingPoint,
+  };
+}
@@ -0,0 +1,55 @@
+// wafer-worker.js
+// Dedicated worker running the WaferDetector pipeline (OpenCV.js) off the main thread.
+// - Started by new WaferDetector({ worker: true }); the page keeps smoothing, events, drawing
+// - The engine is a plain WaferDetector (no worker option) on an OffscreenCanvas
+// - Messages {type, id, ...}; replies echo the id, failures come back as
+//   {type: "error", id, stage, message}
+//     init      {opencvUrl, options}                     → {type: "ready"}, or an error naming
+//                                                          the opencv.js URL that failed
+//     configure {options}                                (no reply)
+//     reset     {}                                       (no reply) drops the optical-flow track
+//     refs      {refs: [{name, label, imageData} | {name, label, width, height, features}]}
+//                                                        → {type: "refs", refs: [{features} | null]}
+//     detect    {frame: ImageBitmap | ImageData, track}  → {type: "result", result, ms}
+
+importScripts("emitter.js", "wafer-detection.js");
+
+let engine = null;
+
+self.onmessage = async ({ data }) => {
+  const { type, id } = data;
+  try {
+    if (type === "init") {
+      try {
+        importScripts(data.opencvUrl);
+      } catch (e) {
+        throw new Error(`cannot load opencv.js from ${data.opencvUrl} (${e.message || e})`);
+      }
+      engine = new WaferDetector({ ...data.options, opencvUrl: data.opencvUrl, sessionLog: null });
+      await engine.ready;
+      self.postMessage({ type: "ready", id });
+      return;
+    }
+    if (!engine) throw new Error("worker not initialized");
+
+    if (type === "configure") {
+      engine.configure(data.options);
+    } else if (type === "reset") {
+      engine.resetTracking();
+    } else if (type === "refs") {
+      const built = await engine._installRefs(data.refs);
+      const refs = built.map(ref => ref && { features: engine.serializeRef(ref).features });
+      self.postMessage({ type: "refs", id, refs });
+    } else if (type === "detect") {
+      const t0 = performance.now();
+      const result = engine._detectLocal(data.frame, null, !!data.track);
+      data.frame.close?.();
+      self.postMessage({ type: "result", id, result, ms: performance.now() - t0 });
+    } else {
+      throw new Error(`unknown message type "${type}"`);
+    }
+  } catch (e) {
+    data.frame?.close?.();
+    self.postMessage({ type: "error", id, stage: type, message: e.message || String(e) });
+  }
+};